@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/coaters
+ * Returns coaters with their accepted target size and compatible target counts
+ */
+
+import { listCoaters } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(listCoaters);
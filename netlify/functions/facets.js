@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/facets
+ * Returns per-facet counts for the filtered target set
+ */
+
+import { getFacets } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(getFacets);
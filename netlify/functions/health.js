@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/health
+ * Health check
+ */
+
+import { health } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(health);
@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/ingest-runs
+ * Returns recent ingest runs (read-only)
+ */
+
+import { listIngestRuns } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(listIngestRuns);
@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/materials/:symbol
+ * Returns a material's physical properties, aliases and catalog count
+ */
+
+import { getMaterial } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(getMaterial);
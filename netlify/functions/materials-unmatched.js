@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/materials/unmatched
+ * Returns material names that match no known material
+ */
+
+import { listUnmatchedMaterials } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(listUnmatchedMaterials);
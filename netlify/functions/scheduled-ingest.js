@@ -0,0 +1,63 @@
+/**
+ * Netlify Scheduled Function: ingest every registered vendor
+ * Schedule is set in netlify.toml; runs the same pipeline as npm run ingest
+ */
+
+import pg from 'pg';
+import { runIngest } from '../../scripts/ingest.js';
+
+const { Pool } = pg;
+
+let pool;
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: true,
+      max: 1,
+      idleTimeoutMillis: 10000,
+      connectionTimeoutMillis: 10000,
+    });
+  }
+  return pool;
+}
+
+export async function handler() {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  if (!process.env.DATABASE_URL) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'DATABASE_URL not configured' })
+    };
+  }
+
+  // The deployed bundle is read-only; keep the fetch cache and snapshots in /tmp
+  process.env.CACHE_DIR = process.env.CACHE_DIR || '/tmp/emtec-targets-cache';
+  process.env.SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || '/tmp/emtec-targets-snapshots';
+
+  let client;
+  try {
+    client = await getPool().connect();
+    const { results, failed } = await runIngest(client, { vendor: process.env.INGEST_VENDOR || 'all' });
+
+    return {
+      statusCode: failed > 0 ? 500 : 200,
+      headers,
+      body: JSON.stringify({ results, failed })
+    };
+  } catch (error) {
+    console.error('Scheduled ingest error:', error.message);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Scheduled ingest failed', details: error.message })
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
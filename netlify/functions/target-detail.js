@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/targets/:id
+ * Returns a single target with its field provenance
+ */
+
+import { getTarget } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(getTarget);
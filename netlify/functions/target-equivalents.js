@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/targets/:id/equivalents
+ * Returns interchangeable parts from other vendors for a single target
+ */
+
+import { getTargetEquivalents } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(getTargetEquivalents);
@@ -0,0 +1,9 @@
+/**
+ * Netlify Function: /api/targets/:id/prices
+ * Returns the price history for a single target
+ */
+
+import { getTargetPrices } from '../../scripts/lib/api/index.js';
+import { netlifyHandler } from '../../scripts/lib/api/netlify.js';
+
+export const handler = netlifyHandler(getTargetPrices);
@@ -12,22 +12,38 @@ let currentFilters = {
   diameter: '',
   thickness: '',
   type: '',
-  search: ''
+  purity: '',
+  backing_plate: '',
+  search: '',
+  q: '',
+  include_discontinued: '',
+  coater: ''
 };
+let currentUnits = 'mm';
+let coaters = [];
 let currentSort = 'material';
 let currentOrder = 'asc';
 let currentOffset = 0;
+let lastFacets = null;
+let facetsRequest = 0;
+let ignoredWords = [];
 const PAGE_SIZE = 24;
 
 // DOM Elements
 const elements = {
   materialsGrid: document.getElementById('materials-grid'),
+  materialPanel: document.getElementById('material-panel'),
   productsGrid: document.getElementById('products-grid'),
   resultsCount: document.getElementById('results-count'),
   filterMaterial: document.getElementById('filter-material'),
   filterDiameter: document.getElementById('filter-diameter'),
   filterThickness: document.getElementById('filter-thickness'),
   filterType: document.getElementById('filter-type'),
+  filterPurity: document.getElementById('filter-purity'),
+  filterBacking: document.getElementById('filter-backing'),
+  filterDiscontinued: document.getElementById('filter-discontinued'),
+  filterUnits: document.getElementById('filter-units'),
+  filterCoater: document.getElementById('filter-coater'),
   heroSearch: document.getElementById('hero-search'),
   searchBtn: document.getElementById('search-btn'),
   applyFilters: document.getElementById('apply-filters'),
@@ -42,27 +58,22 @@ const elements = {
   activeFilters: document.getElementById('active-filters')
 };
 
-// Material colors
-const materialColors = {
-  'Gold': 'linear-gradient(135deg, #FFD700, #FFA500)',
-  'Silver': 'linear-gradient(135deg, #C0C0C0, #A8A8A8)',
-  'Platinum': 'linear-gradient(135deg, #E5E4E2, #BCC6CC)',
-  'Copper': 'linear-gradient(135deg, #B87333, #DA8A67)',
-  'Aluminum': 'linear-gradient(135deg, #A8A9AD, #848789)',
-  'Titanium': 'linear-gradient(135deg, #878681, #54534D)',
-  'Chromium': 'linear-gradient(135deg, #DBE4EB, #9BA4AA)',
-  'Palladium': 'linear-gradient(135deg, #CED0DD, #9A9BA3)',
-  'Carbon': 'linear-gradient(135deg, #1C1C1C, #3D3D3D)',
-  'Iridium': 'linear-gradient(135deg, #E8E8E8, #D0D0D0)'
-};
+// Symbols and colours come from the materials API; this is for unrecognised materials
+const DEFAULT_MATERIAL_COLOR = 'linear-gradient(135deg, #6b7280, #9ca3af)';
 
-const materialSymbols = {
-  'Gold': 'Au', 'Silver': 'Ag', 'Platinum': 'Pt', 'Copper': 'Cu',
-  'Aluminum': 'Al', 'Titanium': 'Ti', 'Chromium': 'Cr', 'Palladium': 'Pd',
-  'Carbon': 'C', 'Iridium': 'Ir', 'Nickel': 'Ni', 'Tungsten': 'W',
-  'Tantalum': 'Ta', 'Molybdenum': 'Mo', 'Silicon': 'Si'
+// Sidebar select for each facet returned by /api/facets
+const FACET_SELECTS = {
+  material: 'filterMaterial',
+  diameter: 'filterDiameter',
+  thickness: 'filterThickness',
+  type: 'filterType',
+  purity: 'filterPurity',
+  backing_plate: 'filterBacking'
 };
 
+// Filters a pill can be edited in place for
+const EDITABLE_FILTERS = [...Object.keys(FACET_SELECTS), 'search'];
+
 // API Functions
 async function fetchAPI(endpoint, params = {}) {
   const url = new URL(API_BASE + endpoint, window.location.origin);
@@ -75,6 +86,11 @@ async function fetchAPI(endpoint, params = {}) {
   return response.json();
 }
 
+// Length with the current unit suffix ("57 mm", "2.244 in")
+function formatLength(value) {
+  return value === null || value === undefined || value === '' ? '—' : `${value} ${currentUnits}`;
+}
+
 async function loadStats() {
   try {
     const stats = await fetchAPI('/stats');
@@ -95,32 +111,33 @@ async function loadMaterials() {
     
     if (elements.materialsGrid) {
       elements.materialsGrid.innerHTML = materials.map(m => `
-        <a href="#catalog" class="material-chip" data-material="${m.material}">
-          <span class="material-symbol" style="background: ${m.color_gradient || materialColors[m.material] || 'linear-gradient(135deg, #6b7280, #9ca3af)'}">
-            ${m.symbol || materialSymbols[m.material] || m.material.substring(0, 2)}
+        <a href="#catalog" class="material-chip" data-material="${m.material}" data-symbol="${m.symbol || ''}">
+          <span class="material-symbol" style="background: ${m.color_gradient || DEFAULT_MATERIAL_COLOR}">
+            ${m.symbol || m.material.substring(0, 2)}
           </span>
           <span class="material-name">${m.material}</span>
           <span class="material-count">${m.count} targets</span>
         </a>
       `).join('');
       
-      // Add click handlers
+      // Known materials open their properties; unrecognised ones filter straight away
       elements.materialsGrid.querySelectorAll('.material-chip').forEach(chip => {
         chip.addEventListener('click', (e) => {
           e.preventDefault();
-          currentFilters.material = chip.dataset.material;
-          elements.filterMaterial.value = chip.dataset.material;
-          loadTargets();
-          updateFilterPills();
-          document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
+          if (chip.dataset.symbol) {
+            showMaterialPanel(chip.dataset.symbol);
+          } else {
+            filterByMaterial(chip.dataset.material);
+          }
         });
       });
     }
     
     // Populate filter dropdown
     if (elements.filterMaterial) {
-      const options = materials.map(m => `<option value="${m.material}">${m.material} (${m.count})</option>`);
+      const options = materials.map(m => `<option value="${m.material}" data-label="${m.material}">${m.material} (${m.count})</option>`);
       elements.filterMaterial.innerHTML = '<option value="">All Materials</option>' + options.join('');
+      applyFacets();
     }
   } catch (error) {
     console.error('Failed to load materials:', error);
@@ -130,12 +147,75 @@ async function loadMaterials() {
   }
 }
 
+function filterByMaterial(material) {
+  currentFilters.material = material;
+  elements.filterMaterial.value = material;
+  loadTargets();
+  updateFilterPills();
+  document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Property value with its unit, or a dash when unknown
+function formatProperty(value, unit = '') {
+  return value === null || value === undefined ? '—' : `${parseFloat(value)}${unit}`;
+}
+
+async function showMaterialPanel(symbol) {
+  const panel = elements.materialPanel;
+  if (!panel) return;
+  
+  elements.materialsGrid.querySelectorAll('.material-chip').forEach(chip => {
+    chip.classList.toggle('active', chip.dataset.symbol === symbol);
+  });
+  panel.hidden = false;
+  panel.innerHTML = '<div class="loading-spinner"></div>';
+  
+  try {
+    const m = await fetchAPI(`/materials/${encodeURIComponent(symbol)}`);
+    panel.innerHTML = `
+      <div class="material-panel-header">
+        <span class="material-symbol" style="background: ${m.color_gradient || DEFAULT_MATERIAL_COLOR}">${m.symbol}</span>
+        <div>
+          <h3>${m.name}</h3>
+          <span class="material-category">${m.category || ''}${m.atomic_number ? ` · Z = ${m.atomic_number}` : ''}</span>
+        </div>
+        <button type="button" class="btn-icon" id="material-panel-close" aria-label="Close">✕</button>
+      </div>
+      <dl class="material-properties">
+        <div><dt>Density</dt><dd>${formatProperty(m.density_g_cm3, ' g/cm³')}</dd></div>
+        <div><dt>Melting point</dt><dd>${formatProperty(m.melting_point_c, ' °C')}</dd></div>
+        <div><dt>Sputter yield (Ar, Au = 1)</dt><dd>${formatProperty(m.sputter_yield_ar)}</dd></div>
+      </dl>
+      ${m.grain_size_notes ? `<p class="material-notes"><strong>Grain:</strong> ${m.grain_size_notes}</p>` : ''}
+      ${m.oxidation_notes ? `<p class="material-notes"><strong>Oxidation:</strong> ${m.oxidation_notes}</p>` : ''}
+      ${m.aliases?.length ? `<p class="material-aliases">Also listed as: ${m.aliases.join(', ')}</p>` : ''}
+      <button type="button" class="btn btn-primary" id="material-panel-filter">Show ${m.target_count} targets</button>
+    `;
+    
+    document.getElementById('material-panel-close').addEventListener('click', hideMaterialPanel);
+    document.getElementById('material-panel-filter').addEventListener('click', () => {
+      hideMaterialPanel();
+      filterByMaterial(m.name);
+    });
+  } catch (error) {
+    console.error('Failed to load material:', error);
+    panel.innerHTML = '<p class="empty-state">Failed to load material properties</p>';
+  }
+}
+
+function hideMaterialPanel() {
+  if (!elements.materialPanel) return;
+  elements.materialPanel.hidden = true;
+  elements.materialsGrid.querySelectorAll('.material-chip.active').forEach(chip => chip.classList.remove('active'));
+}
+
 async function loadDiameters() {
   try {
-    const diameters = await fetchAPI('/diameters');
+    const diameters = await fetchAPI('/diameters', { units: currentUnits });
     if (elements.filterDiameter) {
-      const options = diameters.map(d => `<option value="${d}">${d} mm</option>`);
+      const options = diameters.map(d => `<option value="${d}" data-label="${formatLength(d)}">${formatLength(d)}</option>`);
       elements.filterDiameter.innerHTML = '<option value="">All Diameters</option>' + options.join('');
+      applyFacets();
     }
   } catch (error) {
     console.error('Failed to load diameters:', error);
@@ -144,16 +224,93 @@ async function loadDiameters() {
 
 async function loadThicknesses() {
   try {
-    const thicknesses = await fetchAPI('/thicknesses');
+    const thicknesses = await fetchAPI('/thicknesses', { units: currentUnits });
     if (elements.filterThickness) {
-      const options = thicknesses.map(t => `<option value="${t}">${t} mm</option>`);
+      const options = thicknesses.map(t => `<option value="${t}" data-label="${formatLength(t)}">${formatLength(t)}</option>`);
       elements.filterThickness.innerHTML = '<option value="">All Thicknesses</option>' + options.join('');
+      applyFacets();
     }
   } catch (error) {
     console.error('Failed to load thicknesses:', error);
   }
 }
 
+// Filters as currently chosen in the sidebar (applied or not)
+function sidebarFilters() {
+  return {
+    ...currentFilters,
+    material: elements.filterMaterial?.value || '',
+    diameter: elements.filterDiameter?.value || '',
+    thickness: elements.filterThickness?.value || '',
+    type: elements.filterType?.value || '',
+    purity: elements.filterPurity?.value || '',
+    backing_plate: elements.filterBacking?.value || '',
+    include_discontinued: elements.filterDiscontinued?.checked ? 'true' : '',
+    coater: elements.filterCoater?.value || ''
+  };
+}
+
+// Counts per sidebar option for the given filters; only the latest request is applied
+async function loadFacets(filters = currentFilters) {
+  const request = ++facetsRequest;
+  try {
+    const { facets } = await fetchAPI('/facets', { ...filters, units: currentUnits });
+    if (request !== facetsRequest) return;
+    lastFacets = facets;
+    applyFacets();
+  } catch (error) {
+    console.error('Failed to load facets:', error);
+  }
+}
+
+// Show each option's count and disable options that would leave no targets
+function applyFacets() {
+  if (!lastFacets) return;
+  for (const [facet, key] of Object.entries(FACET_SELECTS)) {
+    const select = elements[key];
+    if (!select) continue;
+    const counts = new Map(lastFacets[facet].map(({ value, count }) => [String(value), count]));
+
+    // Purity and backing plate have no list of their own; options come from the facets
+    if (facet === 'purity' || facet === 'backing_plate') {
+      const known = new Set([...select.options].map(option => option.value));
+      for (const value of counts.keys()) {
+        if (!known.has(value)) select.add(new Option(value, value));
+      }
+    }
+
+    for (const option of select.options) {
+      if (!option.value) continue;
+      option.dataset.label = option.dataset.label || option.textContent;
+      const count = counts.get(option.value) || 0;
+      option.textContent = `${option.dataset.label} (${count})`;
+      option.disabled = count === 0 && option.value !== select.value;
+    }
+  }
+}
+
+// Coater label with the target size it takes ("Cressington 108auto — 57 mm")
+function coaterLabel(coater) {
+  const size = coater.target_type === 'annular'
+    ? `${formatLength(coater.outer_diameter_mm)} OD / ${formatLength(coater.inner_diameter_mm)} ID`
+    : formatLength(coater.diameter_mm);
+  return `${coater.make} ${coater.model} — ${size}`;
+}
+
+async function loadCoaters() {
+  try {
+    const { data } = await fetchAPI('/coaters', { units: currentUnits });
+    coaters = data;
+    if (elements.filterCoater) {
+      const options = coaters.map(c => `<option value="${c.id}">${coaterLabel(c)} (${c.target_count})</option>`);
+      elements.filterCoater.innerHTML = '<option value="">Any Coater</option>' + options.join('');
+      elements.filterCoater.value = currentFilters.coater;
+    }
+  } catch (error) {
+    console.error('Failed to load coaters:', error);
+  }
+}
+
 async function loadTargets(append = false) {
   try {
     if (!append) {
@@ -163,13 +320,16 @@ async function loadTargets(append = false) {
     
     const params = {
       ...currentFilters,
+      units: currentUnits,
       sort: currentSort,
       order: currentOrder,
       limit: PAGE_SIZE,
       offset: currentOffset
     };
     
-    const { data, pagination } = await fetchAPI('/targets', params);
+    if (!append) loadFacets();
+    const { data, pagination, interpreted } = await fetchAPI('/targets', params);
+    if (interpreted) applyInterpretation(interpreted);
     
     if (data.length === 0 && !append) {
       elements.productsGrid.innerHTML = `
@@ -207,34 +367,79 @@ async function loadTargets(append = false) {
   }
 }
 
+function renderComposition(components) {
+  if (!components || components.length < 2) return '';
+  
+  const basis = components[0].basis === 'atomic' ? 'at%' : 'wt%';
+  const segments = components.map(c => {
+    const percent = +(parseFloat(c.fraction) * 100).toFixed(2);
+    return { symbol: c.symbol, percent };
+  });
+  
+  return `
+    <div class="composition" title="Composition (${basis})">
+      <div class="composition-bar">
+        ${segments.map(s => `<span style="width: ${s.percent}%;"></span>`).join('')}
+      </div>
+      <div class="composition-labels">
+        ${segments.map(s => `<span>${s.percent}% ${s.symbol}</span>`).join('')}
+        <span class="composition-basis">${basis}</span>
+      </div>
+    </div>
+  `;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// HTML for vendor text with the [start, end) spans the search matched in <mark>;
+// spans index the raw text, so each slice is escaped on its own
+function highlight(text, spans) {
+  if (!spans || spans.length === 0) return escapeHtml(text);
+  let html = '';
+  let at = 0;
+  for (const [start, end] of spans) {
+    html += escapeHtml(text.slice(at, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    at = end;
+  }
+  return html + escapeHtml(text.slice(at));
+}
+
 function renderTargetCard(target) {
   const material = target.material || 'Unknown';
-  const symbol = materialSymbols[material] || material.substring(0, 2);
-  const gradient = materialColors[material] || 'linear-gradient(135deg, #6b7280, #9ca3af)';
+  const matches = target.matches || {};
+  const symbol = target.material_symbol || material.substring(0, 2);
+  const gradient = target.material_color || DEFAULT_MATERIAL_COLOR;
   
   const isAnnular = target.target_type === 'annular';
   const diameterText = isAnnular 
-    ? `OD: ${target.outer_diameter_mm || '—'}mm / ID: ${target.inner_diameter_mm || '—'}mm`
-    : `${target.diameter_mm || '—'} mm dia`;
+    ? `OD: ${formatLength(target.outer_diameter_mm)} / ID: ${formatLength(target.inner_diameter_mm)}`
+    : `${formatLength(target.diameter_mm)} dia`;
   
   return `
-    <div class="product-card" data-id="${target.id}">
+    <div class="product-card${target.discontinued ? ' is-discontinued' : ''}" data-id="${target.id}">
       ${target.purity ? '<div class="product-badge">' + target.purity + '</div>' : ''}
+      ${target.discontinued ? '<div class="product-badge discontinued">Discontinued</div>' : ''}
       <div class="product-image">
         <div class="target-visual" style="background: ${gradient};">
           <span>${symbol}</span>
         </div>
       </div>
       <div class="product-info">
-        <h3>${material} ${isAnnular ? 'Annular' : 'Disc'} Target</h3>
+        <h3>${target.material ? highlight(material, matches.material) : material} ${isAnnular ? 'Annular' : 'Disc'} Target</h3>
         <div class="product-specs">
-          <span class="spec">${target.part_number}</span>
+          <span class="spec">${highlight(target.part_number, matches.part_number)}</span>
           <span class="spec">${diameterText}</span>
-          ${target.thickness_mm ? `<span class="spec">${target.thickness_mm} mm thick</span>` : ''}
+          ${target.thickness_mm ? `<span class="spec">${formatLength(target.thickness_mm)} thick</span>` : ''}
         </div>
-        ${target.notes ? `<p class="product-notes" style="font-size: 12px; color: #6b7280; margin-top: 8px;">${target.notes}</p>` : ''}
+        ${renderComposition(target.components)}
+        ${target.in_stock > 0 ? `<div class="product-stock">In stock: ${target.in_stock}</div>` : ''}
+        ${target.notes ? `<p class="product-notes" style="font-size: 12px; color: #6b7280; margin-top: 8px;">${highlight(target.notes, matches.notes)}</p>` : ''}
         <div class="product-actions" style="margin-top: 12px;">
-          <a href="#quote" class="btn btn-primary" onclick="prefillQuote('${target.part_number}', '${material}')">Request Quote</a>
+          <a href="#quote" class="btn btn-primary" onclick="prefillQuote('${target.part_number}', '${material}', '${target.vendor || ''}')">Request Quote</a>
         </div>
         <p class="product-vendor" style="font-size: 11px; color: #9ca3af; margin-top: 8px;">
           Source: EMTEC-TARGETS
@@ -247,21 +452,34 @@ function renderTargetCard(target) {
 function updateFilterPills() {
   const pills = [];
   
+  if (currentFilters.coater) {
+    const coater = coaters.find(c => String(c.id) === currentFilters.coater);
+    pills.push({ key: 'coater', label: coater ? `Fits ${coater.make} ${coater.model}` : 'Fits coater' });
+  }
   if (currentFilters.material) {
     pills.push({ key: 'material', label: currentFilters.material });
   }
   if (currentFilters.diameter) {
-    pills.push({ key: 'diameter', label: `${currentFilters.diameter}mm` });
+    pills.push({ key: 'diameter', label: formatLength(currentFilters.diameter) });
   }
   if (currentFilters.thickness) {
-    pills.push({ key: 'thickness', label: `${currentFilters.thickness}mm thick` });
+    pills.push({ key: 'thickness', label: `${formatLength(currentFilters.thickness)} thick` });
   }
   if (currentFilters.type) {
     pills.push({ key: 'type', label: currentFilters.type });
   }
+  if (currentFilters.purity) {
+    pills.push({ key: 'purity', label: currentFilters.purity });
+  }
+  if (currentFilters.backing_plate) {
+    pills.push({ key: 'backing_plate', label: `${currentFilters.backing_plate} backing` });
+  }
   if (currentFilters.search) {
     pills.push({ key: 'search', label: `"${currentFilters.search}"` });
   }
+  if (currentFilters.include_discontinued) {
+    pills.push({ key: 'include_discontinued', label: 'incl. discontinued' });
+  }
   
   if (pills.length === 0) {
     elements.activeFilters.style.display = 'none';
@@ -271,30 +489,94 @@ function updateFilterPills() {
   elements.activeFilters.style.display = 'block';
   elements.filterPills.innerHTML = pills.map(p => `
     <span class="filter-pill" data-key="${p.key}">
-      ${p.label}
+      ${EDITABLE_FILTERS.includes(p.key)
+        ? `<span class="pill-label" title="Click to edit" onclick="editFilter('${p.key}')">${p.label}</span>`
+        : p.label}
       <span class="remove" onclick="removeFilter('${p.key}')">×</span>
     </span>
-  `).join('');
+  `).join('') + (ignoredWords.length ? `<span class="filter-ignored">Ignored: ${ignoredWords.join(' ')}</span>` : '');
+}
+
+// Set a filter and its sidebar control; sizes pick the listed option with the same value
+function setFilter(key, value) {
+  const select = elements[FACET_SELECTS[key]];
+  if (select) {
+    const option = [...select.options].find(o => o.value && (o.value === value || parseFloat(o.value) === parseFloat(value)));
+    if (!option) select.add(new Option(value, value));
+    select.value = option ? option.value : value;
+    value = select.value;
+  }
+  if (key === 'search') elements.heroSearch.value = value;
+  currentFilters[key] = value;
+}
+
+// Turn a pill's label into a text box; Enter or leaving it applies, Escape cancels
+function editFilter(key) {
+  const label = elements.filterPills.querySelector(`[data-key="${key}"] .pill-label`);
+  if (!label) return;
+  const input = document.createElement('input');
+  input.className = 'pill-input';
+  input.value = currentFilters[key];
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+  
+  let done = false;
+  const finish = (apply) => {
+    if (done) return;
+    done = true;
+    const value = input.value.trim();
+    if (!apply || value === currentFilters[key]) return updateFilterPills();
+    if (!value) return removeFilter(key);
+    setFilter(key, value);
+    if (key === 'search') syncSearchSort();
+    loadTargets();
+    updateFilterPills();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// Filters the API read from the search box ("au 57mm 0.1 annular 99.999") become pills
+function applyInterpretation(interpreted) {
+  for (const [key, value] of Object.entries(interpreted.filters)) {
+    setFilter(key, String(value));
+  }
+  if (!interpreted.filters.search) elements.heroSearch.value = '';
+  currentFilters.q = '';
+  ignoredWords = interpreted.ignored;
+  syncSearchSort();
+  updateFilterPills();
 }
 
 function removeFilter(key) {
   currentFilters[key] = '';
   
   // Reset corresponding dropdown
+  if (key === 'coater') elements.filterCoater.value = '';
   if (key === 'material') elements.filterMaterial.value = '';
   if (key === 'diameter') elements.filterDiameter.value = '';
   if (key === 'thickness') elements.filterThickness.value = '';
   if (key === 'type') elements.filterType.value = '';
+  if (key === 'purity') elements.filterPurity.value = '';
+  if (key === 'backing_plate') elements.filterBacking.value = '';
   if (key === 'search') elements.heroSearch.value = '';
+  if (key === 'include_discontinued') elements.filterDiscontinued.checked = false;
+  if (key === 'search') syncSearchSort();
   
   loadTargets();
   updateFilterPills();
 }
 
-function prefillQuote(partNumber, material) {
+function prefillQuote(partNumber, material, vendor) {
   const details = document.getElementById('quote-details');
   if (details) {
-    details.value = `Part #: ${partNumber}\nMaterial: ${material}\nQuantity: 1\n\nAdditional requirements:`;
+    // Part numbers are only unique per vendor
+    const part = vendor ? `${partNumber} (${vendor})` : partNumber;
+    details.value = `Part #: ${part}\nMaterial: ${material}\nQuantity: 1\n\nAdditional requirements:`;
   }
 }
 
@@ -302,41 +584,54 @@ function prefillQuote(partNumber, material) {
 function initEventListeners() {
   // Apply filters
   elements.applyFilters?.addEventListener('click', () => {
-    currentFilters.material = elements.filterMaterial?.value || '';
-    currentFilters.diameter = elements.filterDiameter?.value || '';
-    currentFilters.thickness = elements.filterThickness?.value || '';
-    currentFilters.type = elements.filterType?.value || '';
+    currentFilters = sidebarFilters();
     loadTargets();
     updateFilterPills();
   });
   
+  // Counts follow the sidebar choices before they are applied
+  [...Object.values(FACET_SELECTS), 'filterCoater', 'filterDiscontinued'].forEach(key => {
+    elements[key]?.addEventListener('change', () => loadFacets(sidebarFilters()));
+  });
+  
   // Clear filters
   elements.clearFilters?.addEventListener('click', () => {
-    currentFilters = { material: '', diameter: '', thickness: '', type: '', search: '' };
+    currentFilters = { material: '', diameter: '', thickness: '', type: '', purity: '', backing_plate: '', search: '', q: '', include_discontinued: '', coater: '' };
+    ignoredWords = [];
+    elements.filterCoater.value = '';
     elements.filterMaterial.value = '';
     elements.filterDiameter.value = '';
     elements.filterThickness.value = '';
     elements.filterType.value = '';
+    elements.filterPurity.value = '';
+    elements.filterBacking.value = '';
+    elements.filterDiscontinued.checked = false;
     elements.heroSearch.value = '';
+    syncSearchSort();
     loadTargets();
     updateFilterPills();
   });
   
-  // Search
-  elements.searchBtn?.addEventListener('click', () => {
-    currentFilters.search = elements.heroSearch?.value || '';
+  // Units: dimension filters are in the old units, so they are reset
+  elements.filterUnits?.addEventListener('change', (e) => {
+    currentUnits = e.target.value;
+    currentFilters.diameter = '';
+    currentFilters.thickness = '';
+    document.querySelectorAll('.unit-label').forEach(label => {
+      label.textContent = currentUnits;
+    });
+    loadCoaters();
+    loadDiameters();
+    loadThicknesses();
     loadTargets();
     updateFilterPills();
-    document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
   });
   
+  // Search
+  elements.searchBtn?.addEventListener('click', runSearch);
+  
   elements.heroSearch?.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      currentFilters.search = elements.heroSearch?.value || '';
-      loadTargets();
-      updateFilterPills();
-      document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
-    }
+    if (e.key === 'Enter') runSearch();
   });
   
   // Sort
@@ -352,6 +647,32 @@ function initEventListeners() {
   });
 }
 
+// Search results come best match first; without a search, relevance has nothing to rank.
+// A spec query (q) counts until the API says whether it was read as a text search
+function syncSearchSort() {
+  if (currentFilters.search || currentFilters.q) {
+    currentSort = 'relevance';
+  } else if (currentSort === 'relevance') {
+    currentSort = 'material';
+  }
+  if (elements.sortProducts) elements.sortProducts.value = currentSort;
+}
+
+// The search box is read as a spec query; a new one replaces the filters the last one set
+function runSearch() {
+  for (const key of ['material', 'diameter', 'thickness', 'type', 'purity', 'search']) {
+    currentFilters[key] = '';
+    const select = elements[FACET_SELECTS[key]];
+    if (select) select.value = '';
+  }
+  currentFilters.q = elements.heroSearch?.value.trim() || '';
+  ignoredWords = [];
+  syncSearchSort();
+  loadTargets();
+  updateFilterPills();
+  document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
+}
+
 // Initialize
 async function init() {
   initEventListeners();
@@ -360,6 +681,7 @@ async function init() {
   await Promise.all([
     loadStats(),
     loadMaterials(),
+    loadCoaters(),
     loadDiameters(),
     loadThicknesses(),
     loadTargets()
@@ -371,4 +693,5 @@ document.addEventListener('DOMContentLoaded', init);
 
 // Expose for onclick handlers
 window.removeFilter = removeFilter;
+window.editFilter = editFilter;
 window.prefillQuote = prefillQuote;
@@ -0,0 +1,167 @@
+/**
+ * Bulk Import Script for EmTec Targets
+ * Loads targets from supplier spreadsheets (CSV, JSON or XLSX)
+ * 
+ * Usage:
+ *   npm run import -- targets.csv --vendor "Acme Materials"
+ *   npm run import -- targets.xlsx --vendor acme --mapping acme-columns.json
+ * 
+ * Options:
+ *   --vendor <name>      Vendor the rows belong to (required)
+ *   --mapping <file>     JSON column mapping, e.g. { "part_number": "Cat. No." }
+ *   --source-url <url>   sources.source_url for this vendor's imports
+ *   --rejects <file>     Where to write rejected rows (default: <file>.rejected.csv)
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { getVendor } from './vendors/index.js';
+import { upsertSource, upsertTarget, recordPrice } from './lib/catalog-db.js';
+import { readRecords, resolveColumns, mapRecord, validateRecord, writeRejects } from './lib/import-file.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { file: null, vendor: null, mapping: null, sourceUrl: null, rejects: null };
+  const flags = { '--vendor': 'vendor', '--mapping': 'mapping', '--source-url': 'sourceUrl', '--rejects': 'rejects' };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    if (flags[flag]) {
+      options[flags[flag]] = inline ?? argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  
+  if (!options.file) throw new Error('Usage: npm run import -- <file> --vendor <name>');
+  if (!options.vendor) throw new Error('--vendor is required');
+  
+  return options;
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Main import function
+ */
+async function importFile() {
+  console.log('🚀 Starting EmTec Targets file import...');
+  
+  let client;
+  
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const file = path.resolve(options.file);
+    const mapping = options.mapping ? JSON.parse(fs.readFileSync(options.mapping, 'utf8')) : {};
+    
+    // Registered vendors keep their display name so imports line up with ingest
+    const vendor = getVendor(options.vendor)?.vendor || options.vendor;
+    const source = {
+      vendor,
+      sourceUrl: options.sourceUrl || `file-import:${slugify(vendor)}`,
+      pageTitle: `File import (${path.basename(file)})`
+    };
+    const rejectsFile = options.rejects || file.replace(/\.[^.]+$/, '') + '.rejected.csv';
+    
+    console.log(`📍 Vendor: ${vendor}`);
+    console.log(`📄 File: ${file}`);
+    
+    // Read and map rows
+    const records = await readRecords(file);
+    console.log(`📊 Read ${records.length} rows`);
+    
+    const headers = [...new Set(records.flatMap(r => Object.keys(r.record)))];
+    const columns = resolveColumns(headers, mapping);
+    console.log('\n🗺️  Column mapping:');
+    Object.entries(columns).forEach(([field, header]) => {
+      console.log(`   ${field} ← "${header}"`);
+    });
+    
+    // Validate rows
+    const valid = [];
+    const rejects = [];
+    const seen = new Set();
+    
+    for (const { row, record } of records) {
+      const result = validateRecord(mapRecord(record, columns));
+      if (result.reasons) {
+        rejects.push({ row, record, reasons: result.reasons });
+      } else if (seen.has(result.target.part_number)) {
+        rejects.push({ row, record, reasons: [`duplicate part_number ${result.target.part_number} in file`] });
+      } else {
+        seen.add(result.target.part_number);
+        valid.push({ row, record, target: result.target });
+      }
+    }
+    
+    console.log(`\n✅ Valid rows: ${valid.length}`);
+    console.log(`⚠️  Rejected rows: ${rejects.length}`);
+    
+    // Connect to database
+    console.log('\n📦 Connecting to Neon Postgres...');
+    client = await pool.connect();
+    
+    const sourceId = await upsertSource(client, source);
+    console.log(`📝 Source record ID: ${sourceId}`);
+    
+    // Upsert valid rows
+    console.log('\n💾 Upserting targets...');
+    let inserted = 0, updated = 0;
+    
+    for (const { row, record, target } of valid) {
+      try {
+        const result = await upsertTarget(client, target, sourceId, 'import');
+        if (result.rows[0].is_insert) {
+          inserted++;
+        } else {
+          updated++;
+        }
+        await recordPrice(client, result.rows[0].id, target, sourceId);
+      } catch (err) {
+        console.error(`   ❌ Failed to upsert ${target.part_number}:`, err.message);
+        rejects.push({ row, record, reasons: [`database error: ${err.message}`] });
+      }
+    }
+    
+    if (rejects.length > 0) {
+      rejects.sort((a, b) => a.row - b.row);
+      writeRejects(rejectsFile, rejects);
+      console.log(`\n📝 Wrote ${rejects.length} rejected rows to ${rejectsFile}`);
+    }
+    
+    console.log(`\n✅ Import complete!`);
+    console.log(`   📥 Inserted: ${inserted}`);
+    console.log(`   🔄 Updated: ${updated}`);
+    console.log(`   ❌ Rejected: ${rejects.length}`);
+    console.log(`   📊 Total rows: ${records.length}`);
+    
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+importFile();
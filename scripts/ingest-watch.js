@@ -0,0 +1,113 @@
+/**
+ * Local Ingest Scheduler for EmTec Targets
+ * Runs the same ingest as the scheduled Netlify function on a fixed interval
+ *
+ * Usage:
+ *   npm run ingest:watch                          # every INGEST_INTERVAL (default 6h)
+ *   npm run ingest:watch -- --interval 30m        # custom interval (s, m, h, d)
+ *   npm run ingest:watch -- --vendor ted-pella    # a single vendor
+ *   USE_CACHE=true npm run ingest:watch           # offline, from the fetchSourceHTML cache
+ *
+ * The first ingest starts immediately; the next one is scheduled after it
+ * finishes, so runs never overlap. Ctrl+C stops after the current run.
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { runIngest } from './ingest.js';
+import { parseInterval, formatInterval } from './lib/schedule.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { vendor: 'all', interval: undefined, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--interval') {
+      options.interval = argv[++i];
+    } else if (arg.startsWith('--interval=')) {
+      options.interval = arg.slice('--interval='.length);
+    } else if (arg === '--vendor') {
+      options.vendor = argv[++i];
+    } else if (arg.startsWith('--vendor=')) {
+      options.vendor = arg.slice('--vendor='.length);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  options.intervalMs = parseInterval(options.interval);
+  return options;
+}
+
+async function watch() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  let timer = null;
+  let running = null;
+  let stopping = false;
+
+  const tick = async () => {
+    timer = null;
+    const startedAt = new Date();
+    console.log(`\n⏰ Scheduled ingest at ${startedAt.toISOString()}`);
+
+    let client;
+    try {
+      client = await pool.connect();
+      const { failed } = await runIngest(client, options);
+      console.log(failed > 0 ? `⚠️  ${failed} vendor(s) failed` : '✅ Scheduled ingest complete');
+    } catch (error) {
+      console.error('❌ Scheduled ingest failed:', error.message);
+    } finally {
+      if (client) client.release();
+    }
+
+    if (!stopping) {
+      const next = new Date(Date.now() + options.intervalMs);
+      console.log(`⏭️  Next ingest at ${next.toISOString()}`);
+      timer = setTimeout(() => { running = tick(); }, options.intervalMs);
+    }
+  };
+
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    console.log('\n🛑 Stopping scheduler...');
+    if (timer) clearTimeout(timer);
+    await running;
+    await pool.end();
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`🚀 Ingest scheduler started: every ${formatInterval(options.intervalMs)} (vendor: ${options.vendor})`);
+  if (process.env.USE_CACHE === 'true') {
+    console.log('📦 USE_CACHE=true: vendor pages are read from the fetch cache');
+  }
+
+  running = tick();
+}
+
+watch();
@@ -1,383 +1,548 @@
 /**
  * Data Ingestion Script for EmTec Targets
- * Fetches and parses sputter target catalog from Ted Pella
+ * Fetches and parses sputter target catalogs through vendor adapters
  * 
- * Usage: npm run ingest
+ * Usage:
+ *   npm run ingest                        # all registered vendors
+ *   npm run ingest -- --vendor ted-pella  # a single vendor
+ *   npm run ingest -- --dry-run           # show what would change, write nothing
+ *   npm run ingest -- --dry-run --json    # same plan as JSON on stdout (for CI)
+ *   npm run ingest -- --force             # skip the row-count drop guard
+ *   npm run ingest -- --replay <snapshot> # reprocess an archived page instead of fetching
+ * 
+ * runIngest() is also used by the scheduled Netlify function and npm run ingest:watch,
+ * and regroups cross-vendor equivalents (npm run match) after a successful run
+ * 
+ * Each vendor is written in one transaction and rolls back as a whole when
+ * too many rows fail (INGEST_MAX_ERROR_RATE) or the parsed count falls too
+ * far from the last good run (INGEST_MAX_ROW_DROP)
  */
 
 import pg from 'pg';
-import * as cheerio from 'cheerio';
-import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getVendor, getVendorBySourceUrl, listVendors } from './vendors/index.js';
+import { buildPlan, printPlan } from './lib/plan.js';
+import { upsertSource, upsertTargets, recordPrices, quarantineTarget } from './lib/catalog-db.js';
+import { confidenceThreshold, partitionByConfidence } from './lib/confidence.js';
+import { startRun, recordRunError, finishRun, previousParsedCount } from './lib/ingest-runs.js';
+import { checkRowDrop, checkErrorRate, chunk } from './lib/run-guards.js';
+import { loadSnapshot } from './lib/snapshots.js';
+import { rebuildEquivalenceGroups } from './lib/equivalence.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
-
-const SOURCE_URL = process.env.TED_PELLA_SOURCE_URL || 'https://www.tedpella.com/cressington_html/Cressington-Targets.aspx';
-const VENDOR = 'Ted Pella';
-
 /**
- * Fetch the source HTML
+ * Parse command line options
  */
-async function fetchSourceHTML() {
-  const cacheFile = path.join(process.cwd(), '.cache', 'source-page.html');
+function parseArgs(argv) {
+  const options = { vendor: 'all', dryRun: false, json: false, force: false, replay: null };
   
-  // Check for cached version in development
-  if (process.env.USE_CACHE === 'true' && fs.existsSync(cacheFile)) {
-    console.log('📦 Using cached HTML from', cacheFile);
-    return fs.readFileSync(cacheFile, 'utf8');
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--vendor') {
+      options.vendor = argv[++i];
+    } else if (arg.startsWith('--vendor=')) {
+      options.vendor = arg.slice('--vendor='.length);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--replay') {
+      options.replay = argv[++i];
+    } else if (arg.startsWith('--replay=')) {
+      options.replay = arg.slice('--replay='.length);
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
   }
   
-  console.log('🌐 Fetching from:', SOURCE_URL);
+  if (!options.vendor) {
+    throw new Error('--vendor requires a vendor name (or "all")');
+  }
+  if (options.replay === undefined || options.replay === '') {
+    throw new Error('--replay requires a snapshot id or path');
+  }
+  if (options.json && !options.dryRun) {
+    throw new Error('--json is only supported together with --dry-run');
+  }
   
-  const response = await fetch(SOURCE_URL, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; EmTec-Targets/1.0)'
-    }
-  });
+  return options;
+}
+
+/**
+ * Resolve the adapters selected on the command line
+ */
+function selectAdapters(name) {
+  if (name === 'all') return listVendors();
   
-  if (!response.ok) {
-    throw new Error(`Failed to fetch source: ${response.status} ${response.statusText}`);
+  const adapter = getVendor(name);
+  if (!adapter) {
+    const known = listVendors().map(a => a.id).join(', ');
+    throw new Error(`Unknown vendor "${name}" (available: ${known})`);
+  }
+  return [adapter];
+}
+
+/**
+ * Adapter that reads an archived snapshot instead of fetching
+ * The vendor comes from --vendor, or else from the snapshot's URL
+ */
+function replayAdapter(ref, name) {
+  const { meta, html } = loadSnapshot(ref);
+  const adapter = name && name !== 'all' ? selectAdapters(name)[0] : getVendorBySourceUrl(meta.url);
+  if (!adapter) {
+    throw new Error(`No vendor adapter for ${meta.url}; pass --vendor`);
   }
   
-  const html = await response.text();
-  
-  // Cache for development
-  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
-  fs.writeFileSync(cacheFile, html);
-  console.log('💾 Cached HTML to', cacheFile);
+  console.log(`⏪ Replaying snapshot ${meta.id} (fetched ${meta.fetched_at})`);
+  return { ...adapter, snapshot: meta, fetch: async () => html };
+}
+
+/**
+ * Adapters for a run: the replayed snapshot's vendor, or the selected vendors
+ */
+function resolveAdapters(options) {
+  return options.replay ? [replayAdapter(options.replay, options.vendor)] : selectAdapters(options.vendor || 'all');
+}
+
+/**
+ * Mark targets from this source that are no longer listed as discontinued
+ * Returns the part numbers that were newly discontinued
+ */
+async function markDiscontinued(client, sourceId, partNumbers) {
+  const result = await client.query(`
+    UPDATE targets
+    SET discontinued = TRUE, discontinued_at = NOW()
+    WHERE source_id = $1
+      AND NOT discontinued
+      AND NOT (part_number = ANY($2))
+    RETURNING part_number
+  `, [sourceId, partNumbers]);
   
-  return html;
+  return result.rows.map(r => r.part_number);
 }
 
 /**
- * Parse product description to extract details
- * Format: "Gold Target, 99.99% Au (Ø57mm x 0.1mm)"
+ * Thrown when a run guard trips; the vendor's transaction is rolled back
  */
-function parseDescription(desc) {
-  const result = {
-    material: null,
-    purity: null,
-    diameter_mm: null,
-    thickness_mm: null,
-    outer_diameter_mm: null,
-    inner_diameter_mm: null,
-    target_type: 'disc',
-    alloy_ratio: null,
-    backing_plate: null,
-    notes: null
-  };
+class RollbackError extends Error {}
+
+/**
+ * Run fn inside a savepoint so a failing statement does not abort the transaction
+ */
+async function withSavepoint(client, fn) {
+  await client.query('SAVEPOINT ingest_row');
+  try {
+    const result = await fn();
+    await client.query('RELEASE SAVEPOINT ingest_row');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK TO SAVEPOINT ingest_row');
+    throw err;
+  }
+}
+
+/**
+ * Upsert accepted targets in multi-row batches
+ * A failing batch is retried row by row so one bad row does not sink its neighbours
+ */
+async function upsertInBatches(client, targets, sourceId, run) {
+  let priceChanges = 0;
   
-  if (!desc) return result;
+  // Returns the batch's counts; they are added to the run only once the whole
+  // batch (prices included) is written, so a retried batch is not counted twice
+  const writeBatch = async (batch) => {
+    const result = await upsertTargets(client, batch, sourceId);
+    const ids = new Map(result.rows.map(r => [r.part_number, r.id]));
+    const inserted = result.rows.filter(row => row.is_insert).length;
+    const prices = await recordPrices(client, batch.map(target => ({ targetId: ids.get(target.part_number), target })), sourceId);
+    return { inserted, updated: result.rows.length - inserted, prices };
+  };
   
-  // Extract material (before "Target")
-  const materialMatch = desc.match(/^(.+?)\s*Target/i);
-  if (materialMatch) {
-    result.material = materialMatch[1].trim();
-  }
+  const count = ({ inserted, updated, prices }) => {
+    run.inserted += inserted;
+    run.updated += updated;
+    priceChanges += prices;
+  };
   
-  // Extract purity (e.g., "99.99% Au" or "99.99% Au:Pd 60/40 ratio")
-  const purityMatch = desc.match(/(\d+\.?\d*%)\s*(\w+)/);
-  if (purityMatch) {
-    result.purity = purityMatch[1];
+  for (const batch of chunk(targets)) {
+    try {
+      count(await withSavepoint(client, () => writeBatch(batch)));
+    } catch (batchError) {
+      for (const target of batch) {
+        try {
+          count(await withSavepoint(client, () => writeBatch([target])));
+        } catch (err) {
+          console.error(`   ❌ Failed to upsert ${target.part_number}:`, err.message);
+          run.errors++;
+          recordRunError(run, `${target.part_number}: ${err.message}`);
+        }
+      }
+    }
   }
   
-  // Check for alloy ratio
-  const alloyMatch = desc.match(/(\d+)[:/](\d+)\s*ratio/i);
-  if (alloyMatch) {
-    result.alloy_ratio = `${alloyMatch[1]}/${alloyMatch[2]}`;
-  }
+  return priceChanges;
+}
+
+/**
+ * Latest review decision per part number for a source's quarantined rows
+ */
+async function loadReviewedQuarantine(client, sourceId) {
+  const result = await client.query(`
+    SELECT DISTINCT ON (part_number) part_number, status, raw_excerpt
+    FROM targets_quarantine
+    WHERE source_id = $1 AND status IN ('approved', 'rejected')
+    ORDER BY part_number, reviewed_at DESC NULLS LAST, id DESC
+  `, [sourceId]);
   
-  // Extract diameter (Ø62mm or Ø54mm)
-  const diameterMatch = desc.match(/[ØO](\d+(?:\.\d+)?)\s*(?:mm)?/i);
-  if (diameterMatch) {
-    result.diameter_mm = parseFloat(diameterMatch[1]);
-  }
+  return new Map(result.rows.map(r => [r.part_number, r]));
+}
+
+/**
+ * Fetch, parse and normalize a vendor's targets
+ * Fills in run.htmlBytes and run.parsedCount when a run is passed
+ */
+async function loadVendorTargets(adapter, run = {}) {
+  console.log(`📍 Source: ${adapter.vendor}`);
+  console.log(`🔗 URL: ${adapter.sourceUrl}`);
+  console.log('');
   
-  // Extract thickness (x 0.1mm or x 3.2mm)
-  const thicknessMatch = desc.match(/x\s*(\d+\.?\d*)\s*mm/i);
-  if (thicknessMatch) {
-    result.thickness_mm = parseFloat(thicknessMatch[1]);
-  }
+  // Fetch source document
+  const html = await adapter.fetch();
+  console.log(`📄 Fetched ${(html.length / 1024).toFixed(1)} KB of HTML`);
+  run.htmlBytes = Buffer.byteLength(html);
   
-  // Check for annular targets (OD/ID)
-  const annularODMatch = desc.match(/(\d+\.?\d*)\s*mm\s*O\.?D/i);
-  const annularIDMatch = desc.match(/(\d+\.?\d*)\s*mm\s*I\.?D/i);
-  if (annularODMatch && annularIDMatch) {
-    result.target_type = 'annular';
-    result.outer_diameter_mm = parseFloat(annularODMatch[1]);
-    result.inner_diameter_mm = parseFloat(annularIDMatch[1]);
-    result.diameter_mm = null; // Use OD/ID instead
+  // Parse and normalize targets (rows without a part number cannot be tracked)
+  const parsed = adapter.parse(html).map(row => adapter.normalize(row));
+  const targets = parsed.filter(t => t.part_number);
+  if (targets.length < parsed.length) {
+    console.log(`⚠️  Skipped ${parsed.length - targets.length} rows without a part number`);
   }
+  console.log(`\n✅ Parsed ${targets.length} total targets`);
+  run.parsedCount = targets.length;
   
-  // Check for backing plate
-  if (desc.toLowerCase().includes('backing plate') || desc.toLowerCase().includes('copper backing')) {
-    result.backing_plate = 'Copper';
+  if (targets.length === 0) {
+    throw new Error('No targets found - check parsing logic');
   }
   
-  // Notes for special items
-  if (desc.includes('NEW')) {
-    result.notes = 'New product';
-  }
-  if (desc.includes('ITO') || desc.includes('Indium Tin Oxide')) {
-    result.notes = (result.notes ? result.notes + '; ' : '') + 'Indium Tin Oxide compound';
-  }
+  // Show sample
+  console.log('\n📋 Sample parsed targets:');
+  targets.slice(0, 5).forEach(t => {
+    console.log(`   ${t.part_number}: ${t.material} ${t.diameter_mm || t.outer_diameter_mm}mm ${t.target_type}`);
+  });
   
-  return result;
+  return targets;
 }
 
 /**
- * Parse price string
+ * Compare a vendor's parsed targets with the database without writing
  */
-function parsePrice(priceStr) {
-  if (!priceStr) return null;
-  if (priceStr.includes('P.O.R.')) return null; // Price on Request
+async function planVendor(client, adapter) {
+  const targets = await loadVendorTargets(adapter);
+  const { accepted, quarantined } = partitionByConfidence(targets, confidenceThreshold());
+  
+  const source = await client.query(`
+    SELECT id FROM sources WHERE vendor = $1 AND source_url = $2
+  `, [adapter.vendor, adapter.sourceUrl]);
+  const sourceId = source.rows[0]?.id ?? null;
   
-  const match = priceStr.replace(/[$,]/g, '').match(/(\d+\.?\d*)/);
-  return match ? parseFloat(match[1]) : null;
+  const existing = await client.query(`
+    SELECT t.*,
+      ARRAY(
+        SELECT p.field FROM target_field_provenance p
+        WHERE p.target_id = t.id AND p.locked
+      ) as locked_fields
+    FROM targets t
+    WHERE t.vendor = $1
+  `, [adapter.vendor]);
+  
+  return {
+    vendor: adapter.vendor,
+    source_url: adapter.sourceUrl,
+    source_id: sourceId,
+    ...buildPlan(existing.rows, accepted, sourceId, quarantined)
+  };
 }
 
 /**
- * Parse the Ted Pella HTML for target data
+ * Ingest a single vendor through its adapter
+ * All writes happen in one transaction; every attempt is recorded in ingest_runs
+ * (outside that transaction), including failed and rolled-back ones
  */
-function parseTargetsFromHTML(html) {
-  const $ = cheerio.load(html);
-  const allTargets = [];
-  
-  console.log('📝 Parsing HTML for target data...');
-  
-  // Find all product rows
-  // The pattern is: Prod # | Description | Unit | Price
-  // Each row with a numeric product number
+async function ingestVendor(client, adapter, options = {}) {
+  const run = await startRun(client, adapter);
+  let inTransaction = false;
   
-  // Look for text patterns in the page content
-  const pageText = $('body').text();
-  
-  // Parse product entries using regex on the text content
-  // Pattern: 5-digit number followed by description with dimensions
-  const productPattern = /\b(\d{4,5}(?:-\w)?)\s+(?:NEW\s+)?(.+?Target.*?(?:Ø\d+.*?mm|O\.D\..*?I\.D\.).*?)\s+each\s+\$?([\d,]+\.?\d*|P\.O\.R\.)/gi;
-  
-  let match;
-  while ((match = productPattern.exec(pageText)) !== null) {
-    const partNumber = match[1];
-    const description = match[2].trim();
-    const price = match[3];
+  try {
+    const targets = await loadVendorTargets(adapter, run);
+    
+    // A sharp drop in rows usually means the page layout changed, not that products vanished
+    if (!options.force) {
+      const dropReason = checkRowDrop(targets.length, await previousParsedCount(client, run, adapter));
+      if (dropReason) throw new RollbackError(`${dropReason}; rerun with --force if expected`);
+    }
+    
+    await client.query('BEGIN');
+    inTransaction = true;
+    
+    // Upsert source
+    const sourceId = await upsertSource(client, adapter, adapter.snapshot?.fetched_at);
+    run.sourceId = sourceId;
+    console.log(`\n📝 Source record ID: ${sourceId}`);
+    
+    // Low-confidence rows go to the quarantine queue instead of targets
+    const { accepted, quarantined } = partitionByConfidence(targets, confidenceThreshold());
+    const reviewed = await loadReviewedQuarantine(client, sourceId);
     
-    const parsed = parseDescription(description);
+    // Remember which listed targets were discontinued, to report reactivations
+    // (quarantined part numbers are still listed, so they count as seen)
+    const partNumbers = targets.map(t => t.part_number);
+    const previouslyDiscontinued = await client.query(`
+      SELECT part_number FROM targets
+      WHERE discontinued AND vendor = $1 AND part_number = ANY($2)
+    `, [adapter.vendor, partNumbers]);
+    const reactivated = previouslyDiscontinued.rows.map(r => r.part_number);
     
-    if (parsed.material) {
-      allTargets.push({
-        part_number: partNumber,
-        ...parsed,
-        price_usd: parsePrice(price),
-        raw_excerpt: description.substring(0, 500)
-      });
+    // A part listed twice would hit the same row twice in one statement; the last listing wins
+    const unique = [...new Map(accepted.map(t => [t.part_number, t])).values()];
+    if (unique.length < accepted.length) {
+      console.log(`⚠️  ${accepted.length - unique.length} duplicate part numbers, keeping the last listing`);
+    }
+    
+    // Upsert all targets
+    console.log('\n💾 Upserting targets...');
+    const priceChanges = await upsertInBatches(client, unique, sourceId, run);
+    
+    // Queue the rest for review; a decision sticks until the source text changes
+    let skippedReviewed = 0;
+    if (quarantined.length > 0) {
+      console.log(`\n🧪 Quarantining ${quarantined.length} low-confidence rows...`);
+    }
+    for (const { target, score } of quarantined) {
+      const decision = reviewed.get(target.part_number);
+      if (decision && decision.raw_excerpt === target.raw_excerpt) {
+        skippedReviewed++;
+        continue;
+      }
+      try {
+        await withSavepoint(client, () => quarantineTarget(client, target, score, sourceId, run.id));
+        run.quarantined++;
+        console.log(`   🧪 ${target.part_number}: confidence ${score.confidence}, unparsed ${score.unparsed.join(', ')}`);
+      } catch (err) {
+        console.error(`   ❌ Failed to quarantine ${target.part_number}:`, err.message);
+        run.errors++;
+        recordRunError(run, `${target.part_number}: ${err.message}`);
+      }
     }
-  }
-  
-  // Also parse using DOM structure for better accuracy
-  $('table tr, .product-row, [class*="product"]').each((i, row) => {
-    const text = $(row).text();
     
-    // Look for product number pattern
-    const prodMatch = text.match(/^\s*(\d{4,5}(?:-\w)?)\s+/);
-    if (!prodMatch) return;
+    const errorReason = checkErrorRate(run.errors, unique.length + quarantined.length - skippedReviewed);
+    if (errorReason) throw new RollbackError(errorReason);
     
-    const partNumber = prodMatch[1];
+    // Soft delete anything this source no longer lists
+    const discontinued = await markDiscontinued(client, sourceId, partNumbers);
     
-    // Skip if already found
-    if (allTargets.find(t => t.part_number === partNumber)) return;
+    // Materials without an alias stay unlinked until reviewed (GET /api/materials/unmatched)
+    const unknownMaterials = await client.query(`
+      SELECT material, COUNT(*) as count FROM targets
+      WHERE vendor = $1 AND material_id IS NULL AND NOT discontinued
+      GROUP BY material
+      ORDER BY material
+    `, [adapter.vendor]);
+    const unknownList = unknownMaterials.rows.map(r => `${r.material} ×${r.count}`);
     
-    // Extract description (contains Target and dimensions)
-    const descMatch = text.match(/(\w+(?:\/\w+)?\s+Target[^$]+?)(?:each|\$|P\.O\.R)/i);
-    if (!descMatch) return;
+    await client.query('COMMIT');
+    inTransaction = false;
     
-    const description = descMatch[1].trim();
-    const parsed = parseDescription(description);
+    const status = await finishRun(client, run);
     
-    // Extract price
-    const priceMatch = text.match(/\$\s*([\d,]+\.?\d*)|P\.O\.R\./);
-    const price = priceMatch ? priceMatch[0] : null;
+    console.log(`\n✅ ${adapter.vendor} complete! (run #${run.id}: ${status})`);
+    console.log(`   📥 Inserted: ${run.inserted}`);
+    console.log(`   🔄 Updated: ${run.updated}`);
+    console.log(`   💲 Price changes: ${priceChanges}`);
+    console.log(`   🧪 Quarantined: ${run.quarantined}${skippedReviewed ? ` (${skippedReviewed} already reviewed)` : ''}`);
+    console.log(`   🚫 Discontinued: ${discontinued.length}${discontinued.length ? ` (${discontinued.join(', ')})` : ''}`);
+    console.log(`   ♻️  Reactivated: ${reactivated.length}${reactivated.length ? ` (${reactivated.join(', ')})` : ''}`);
+    console.log(`   ❓ Unknown materials: ${unknownList.length}${unknownList.length ? ` (${unknownList.join(', ')})` : ''}`);
+    console.log(`   ❌ Errors: ${run.errors}`);
+    console.log(`   📊 Total: ${targets.length}`);
     
-    if (parsed.material) {
-      allTargets.push({
-        part_number: partNumber,
-        ...parsed,
-        price_usd: parsePrice(price),
-        raw_excerpt: description.substring(0, 500)
-      });
+    return {
+      runId: run.id,
+      status,
+      inserted: run.inserted,
+      updated: run.updated,
+      quarantined: run.quarantined,
+      errors: run.errors,
+      priceChanges,
+      discontinued: discontinued.length,
+      reactivated: reactivated.length,
+      unknownMaterials: unknownMaterials.rows.map(r => r.material),
+      total: targets.length
+    };
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK');
     }
-  });
-  
-  // Deduplicate by part number
-  const seen = new Set();
-  const unique = allTargets.filter(t => {
-    if (seen.has(t.part_number)) return false;
-    seen.add(t.part_number);
-    return true;
-  });
-  
-  return unique;
+    // Nothing from this run was kept
+    run.inserted = 0;
+    run.updated = 0;
+    run.quarantined = 0;
+    recordRunError(run, error.message);
+    const status = await finishRun(client, run, error instanceof RollbackError ? 'rolled_back' : 'failed');
+    console.error(`   ↩️  Run #${run.id} ${status}, no changes were written`);
+    throw error;
+  }
 }
 
 /**
- * Upsert source record
+ * Ingest the selected vendors (options.vendor, default all; or options.adapters) on a connected client
+ * A failing vendor does not stop the others; returns { results, failed }
  */
-async function upsertSource(client) {
-  const result = await client.query(`
-    INSERT INTO sources (vendor, source_url, source_page_title, last_fetched_at)
-    VALUES ($1, $2, $3, NOW())
-    ON CONFLICT (vendor, source_url) 
-    DO UPDATE SET 
-      last_fetched_at = NOW(),
-      source_page_title = EXCLUDED.source_page_title
-    RETURNING id
-  `, [VENDOR, SOURCE_URL, 'Disk or Annular Sputter Targets']);
+export async function runIngest(client, options = {}) {
+  const adapters = options.adapters || resolveAdapters(options);
+  console.log(`🏭 Vendors: ${adapters.map(a => a.vendor).join(', ')}`);
   
-  return result.rows[0].id;
-}
-
-/**
- * Upsert a single target
- */
-async function upsertTarget(client, target, sourceId) {
-  const query = `
-    INSERT INTO targets (
-      source_id, part_number, target_type, material, purity,
-      diameter_mm, outer_diameter_mm, inner_diameter_mm, thickness_mm,
-      backing_plate, alloy_ratio, notes, raw_excerpt
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-    ON CONFLICT (part_number) DO UPDATE SET
-      source_id = EXCLUDED.source_id,
-      target_type = EXCLUDED.target_type,
-      material = EXCLUDED.material,
-      purity = EXCLUDED.purity,
-      diameter_mm = EXCLUDED.diameter_mm,
-      outer_diameter_mm = EXCLUDED.outer_diameter_mm,
-      inner_diameter_mm = EXCLUDED.inner_diameter_mm,
-      thickness_mm = EXCLUDED.thickness_mm,
-      backing_plate = EXCLUDED.backing_plate,
-      alloy_ratio = EXCLUDED.alloy_ratio,
-      notes = EXCLUDED.notes,
-      raw_excerpt = EXCLUDED.raw_excerpt,
-      updated_at = NOW()
-    RETURNING id, (xmax = 0) as is_insert
-  `;
+  const results = [];
+  let failed = 0;
   
-  const values = [
-    sourceId,
-    target.part_number,
-    target.target_type || 'disc',
-    target.material,
-    target.purity || null,
-    target.diameter_mm || null,
-    target.outer_diameter_mm || null,
-    target.inner_diameter_mm || null,
-    target.thickness_mm || null,
-    target.backing_plate || null,
-    target.alloy_ratio || null,
-    target.notes || null,
-    target.raw_excerpt || null
-  ];
+  for (const adapter of adapters) {
+    try {
+      const result = await ingestVendor(client, adapter, options);
+      results.push({ vendor: adapter.vendor, ...result });
+    } catch (error) {
+      console.error(`❌ ${adapter.vendor} ingestion failed:`, error.message);
+      results.push({ vendor: adapter.vendor, status: 'failed', error: error.message });
+      failed++;
+    }
+    console.log('');
+  }
   
-  return client.query(query, values);
+  // Regroup cross-vendor equivalents once the catalog has changed
+  if (failed < adapters.length) {
+    try {
+      await client.query('BEGIN');
+      const groups = await rebuildEquivalenceGroups(client);
+      await client.query('COMMIT');
+      console.log(`🔗 Equivalence groups: ${groups}\n`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('⚠️  Equivalence matching failed:', error.message);
+    }
+  }
+  
+  return { results, failed };
 }
 
 /**
  * Main ingestion function
  */
 async function ingest() {
-  console.log('🚀 Starting EmTec Targets data ingestion...');
-  console.log(`📍 Source: ${VENDOR}`);
-  console.log(`🔗 URL: ${SOURCE_URL}`);
-  console.log('');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+    await pool.end();
+    return;
+  }
+  
+  // Keep stdout clean for the JSON plan; progress output goes to stderr
+  if (options.json) {
+    console.log = (...args) => console.error(...args);
+  }
+  
+  console.log(options.dryRun
+    ? '🚀 Starting EmTec Targets ingestion dry run (no writes)...'
+    : '🚀 Starting EmTec Targets data ingestion...');
   
   let client;
+  let failed = 0;
+  const plans = [];
   
   try {
-    // Fetch HTML
-    const html = await fetchSourceHTML();
-    console.log(`📄 Fetched ${(html.length / 1024).toFixed(1)} KB of HTML`);
-    
-    // Parse targets
-    const targets = parseTargetsFromHTML(html);
-    console.log(`\n✅ Parsed ${targets.length} total targets`);
-    
-    if (targets.length === 0) {
-      console.log('⚠️  No targets found - check parsing logic');
-      process.exit(1);
-    }
-    
-    // Show sample
-    console.log('\n📋 Sample parsed targets:');
-    targets.slice(0, 5).forEach(t => {
-      console.log(`   ${t.part_number}: ${t.material} ${t.diameter_mm || t.outer_diameter_mm}mm ${t.target_type}`);
-    });
+    // Fail on an unknown vendor or snapshot before connecting
+    const adapters = resolveAdapters(options);
     
     // Connect to database
-    console.log('\n📦 Connecting to Neon Postgres...');
+    console.log('📦 Connecting to Neon Postgres...\n');
     client = await pool.connect();
     
-    // Upsert source
-    const sourceId = await upsertSource(client);
-    console.log(`📝 Source record ID: ${sourceId}`);
-    
-    // Upsert all targets
-    console.log('\n💾 Upserting targets...');
-    let inserted = 0, updated = 0, errors = 0;
-    
-    for (const target of targets) {
-      try {
-        const result = await upsertTarget(client, target, sourceId);
-        if (result.rows[0].is_insert) {
-          inserted++;
-        } else {
-          updated++;
+    if (options.dryRun) {
+      console.log(`🏭 Vendors: ${adapters.map(a => a.vendor).join(', ')}`);
+      await client.query('BEGIN READ ONLY');
+      
+      for (const adapter of adapters) {
+        try {
+          const plan = await planVendor(client, adapter);
+          plans.push(plan);
+          if (!options.json) printPlan(adapter.vendor, plan);
+        } catch (error) {
+          console.error(`❌ ${adapter.vendor} ingestion failed:`, error.message);
+          plans.push({ vendor: adapter.vendor, source_url: adapter.sourceUrl, error: error.message });
+          failed++;
         }
-      } catch (err) {
-        console.error(`   ❌ Failed to upsert ${target.part_number}:`, err.message);
-        errors++;
+        console.log('');
       }
+      
+      await client.query('ROLLBACK');
+      
+      if (options.json) {
+        process.stdout.write(JSON.stringify({
+          dry_run: true,
+          generated_at: new Date().toISOString(),
+          vendors: plans
+        }, null, 2) + '\n');
+      }
+    } else {
+      ({ failed } = await runIngest(client, { ...options, adapters }));
+      
+      // Show stats
+      const stats = await client.query(`
+        SELECT 
+          COUNT(*) as total,
+          COUNT(*) FILTER (WHERE discontinued) as discontinued_count,
+          COUNT(DISTINCT material) as materials,
+          COUNT(DISTINCT diameter_mm) as diameters,
+          COUNT(*) FILTER (WHERE target_type = 'disc') as disc_count,
+          COUNT(*) FILTER (WHERE target_type = 'annular') as annular_count
+        FROM targets
+      `);
+      
+      console.log('📊 Catalog Summary:');
+      console.log(`   Total targets: ${stats.rows[0].total}`);
+      console.log(`   Discontinued: ${stats.rows[0].discontinued_count}`);
+      console.log(`   Unique materials: ${stats.rows[0].materials}`);
+      console.log(`   Disc targets: ${stats.rows[0].disc_count}`);
+      console.log(`   Annular targets: ${stats.rows[0].annular_count}`);
     }
     
-    console.log(`\n✅ Ingestion complete!`);
-    console.log(`   📥 Inserted: ${inserted}`);
-    console.log(`   🔄 Updated: ${updated}`);
-    console.log(`   ❌ Errors: ${errors}`);
-    console.log(`   📊 Total: ${targets.length}`);
-    
-    // Show stats
-    const stats = await client.query(`
-      SELECT 
-        COUNT(*) as total,
-        COUNT(DISTINCT material) as materials,
-        COUNT(DISTINCT diameter_mm) as diameters,
-        COUNT(*) FILTER (WHERE target_type = 'disc') as disc_count,
-        COUNT(*) FILTER (WHERE target_type = 'annular') as annular_count
-      FROM targets
-    `);
-    
-    console.log('\n📊 Catalog Summary:');
-    console.log(`   Total targets: ${stats.rows[0].total}`);
-    console.log(`   Unique materials: ${stats.rows[0].materials}`);
-    console.log(`   Disc targets: ${stats.rows[0].disc_count}`);
-    console.log(`   Annular targets: ${stats.rows[0].annular_count}`);
-    
   } catch (error) {
     console.error('❌ Ingestion failed:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     if (client) client.release();
     await pool.end();
   }
+  
+  if (failed > 0) {
+    console.error(`⚠️  ${failed} vendor(s) failed`);
+    process.exitCode = 1;
+  }
 }
 
-// Run if called directly
-ingest();
+// Run if called directly (not when imported by the scheduler)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  ingest();
+}
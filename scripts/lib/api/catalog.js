@@ -0,0 +1,186 @@
+/**
+ * Catalog-wide endpoints: health, filter options, coaters, stats and ingest runs
+ */
+
+import { resolveUnits, convertDimensions, fromMm } from '../units.js';
+
+// Health check
+export const health = {
+  method: 'GET',
+  path: '/api/health',
+  netlify: 'health',
+  failure: 'Health check failed',
+  async handle() {
+    return { status: 'ok', service: 'EmTec Targets API' };
+  }
+};
+
+/**
+ * GET /api/diameters
+ * Get list of available diameters (units=in for inches)
+ */
+export const listDiameters = {
+  method: 'GET',
+  path: '/api/diameters',
+  netlify: 'diameters',
+  failure: 'Failed to fetch diameters',
+  async handle(db, { query }) {
+    const result = await db.query(`
+      SELECT DISTINCT diameter_mm
+      FROM targets
+      WHERE diameter_mm IS NOT NULL AND NOT discontinued
+      ORDER BY diameter_mm DESC
+    `);
+    const units = resolveUnits(query.units);
+    return [...new Set(result.rows.map(r => fromMm(r.diameter_mm, units, 'diameter_mm')))];
+  }
+};
+
+/**
+ * GET /api/thicknesses
+ * Get list of available thicknesses (units=in for inches)
+ */
+export const listThicknesses = {
+  method: 'GET',
+  path: '/api/thicknesses',
+  netlify: 'thicknesses',
+  failure: 'Failed to fetch thicknesses',
+  async handle(db, { query }) {
+    const result = await db.query(`
+      SELECT DISTINCT thickness_mm
+      FROM targets
+      WHERE thickness_mm IS NOT NULL AND NOT discontinued
+      ORDER BY thickness_mm ASC
+    `);
+    const units = resolveUnits(query.units);
+    return [...new Set(result.rows.map(r => fromMm(r.thickness_mm, units, 'thickness_mm')))];
+  }
+};
+
+/**
+ * GET /api/coaters
+ * List coaters with the target size they take and how many catalog targets fit
+ * (units=in for inches)
+ */
+export const listCoaters = {
+  method: 'GET',
+  path: '/api/coaters',
+  netlify: 'coaters',
+  failure: 'Failed to fetch coaters',
+  async handle(db, { query }) {
+    const units = resolveUnits(query.units);
+    const result = await db.query(`
+      SELECT 
+        c.id,
+        c.make,
+        c.model,
+        c.target_type,
+        c.diameter_mm,
+        c.outer_diameter_mm,
+        c.inner_diameter_mm,
+        c.max_thickness_mm,
+        c.notes,
+        COUNT(t.id)::int as target_count
+      FROM coaters c
+      LEFT JOIN coater_targets ct ON ct.coater_id = c.id
+      LEFT JOIN targets t ON t.id = ct.target_id AND NOT t.discontinued
+      GROUP BY c.id
+      ORDER BY c.make, c.model
+    `);
+    return { data: result.rows.map(row => convertDimensions(row, units)), units };
+  }
+};
+
+/**
+ * GET /api/stats
+ * Get catalog statistics
+ */
+export const getStats = {
+  method: 'GET',
+  path: '/api/stats',
+  netlify: 'stats',
+  failure: 'Failed to fetch stats',
+  async handle(db) {
+    const stats = await db.query(`
+      SELECT 
+        COUNT(*) FILTER (WHERE NOT discontinued) as total_targets,
+        COUNT(DISTINCT material) FILTER (WHERE NOT discontinued) as unique_materials,
+        COUNT(DISTINCT diameter_mm) FILTER (WHERE NOT discontinued) as unique_diameters,
+        COUNT(*) FILTER (WHERE target_type = 'disc' AND NOT discontinued) as disc_targets,
+        COUNT(*) FILTER (WHERE target_type = 'annular' AND NOT discontinued) as annular_targets,
+        COUNT(*) FILTER (WHERE discontinued) as discontinued_targets
+      FROM targets
+    `);
+
+    const lastUpdate = await db.query(`
+      SELECT MAX(last_fetched_at) as last_sync FROM sources
+    `);
+
+    return {
+      ...stats.rows[0],
+      last_sync: lastUpdate.rows[0]?.last_sync
+    };
+  }
+};
+
+/**
+ * GET /api/ingest-runs
+ * Recent ingest runs, newest first (read-only)
+ * Query parameters:
+ *   - vendor: Filter by vendor name
+ *   - status: Filter by status (running/success/partial/failed)
+ *   - limit: Number of runs (default 50, max 200)
+ */
+export const listIngestRuns = {
+  method: 'GET',
+  path: '/api/ingest-runs',
+  netlify: 'ingest-runs',
+  failure: 'Failed to fetch ingest runs',
+  async handle(db, { query: params }) {
+    const { vendor, status, limit = '50' } = params;
+
+    let query = `
+      SELECT *
+      FROM (
+        SELECT 
+          r.id,
+          r.vendor,
+          r.source_url,
+          r.status,
+          r.started_at,
+          r.finished_at,
+          EXTRACT(EPOCH FROM (r.finished_at - r.started_at)) as duration_seconds,
+          r.html_bytes,
+          r.parsed_count,
+          LAG(r.parsed_count) OVER (PARTITION BY r.vendor ORDER BY r.started_at) as previous_parsed_count,
+          r.inserted_count,
+          r.updated_count,
+          r.quarantined_count,
+          r.error_count,
+          r.error_messages
+        FROM ingest_runs r
+      ) runs
+      WHERE 1=1
+    `;
+
+    const values = [];
+    let paramIndex = 1;
+
+    if (vendor) {
+      query += ` AND LOWER(vendor) = LOWER($${paramIndex})`;
+      values.push(vendor);
+      paramIndex++;
+    }
+    if (status) {
+      query += ` AND status = $${paramIndex}`;
+      values.push(status);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY started_at DESC LIMIT $${paramIndex}`;
+    values.push(Math.min(parseInt(limit) || 50, 200));
+
+    const result = await db.query(query, values);
+    return { data: result.rows };
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Errors shared by the API handlers
+ */
+
+/**
+ * A request the handler refuses, answered with this status and { error: message }
+ */
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// Largest INTEGER; a larger id cannot name a row and would fail in the query
+const MAX_ID = 2147483647;
+
+/**
+ * A row id given by the client (a path :id, ?coater=3) as a number;
+ * anything but a positive integer is an ApiError (400)
+ */
+export function parseId(name, value) {
+  if (!(/^\d+$/.test(value) && value > 0 && value <= MAX_ID)) {
+    throw new ApiError(400, `${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * A count given by the client (?offset=20) as a number; anything but a
+ * whole number from 0 up is an ApiError (400)
+ */
+export function parseCount(name, value) {
+  if (!(/^\d+$/.test(value) && value <= MAX_ID)) {
+    throw new ApiError(400, `${name} must be a whole number`);
+  }
+  return Number(value);
+}
+
+/**
+ * Check path parameters before a route runs: :id is a positive integer
+ * (the id of a row), so /api/targets/abc is a 400 and not a database error
+ */
+export function checkPathParams(params) {
+  if ('id' in params) parseId('id', params.id);
+}
+
+/**
+ * Status and body for a failed request: ApiErrors as given, anything else
+ * logged and answered with the route's generic 500 message
+ */
+export function errorResponse(route, error) {
+  if (error instanceof ApiError) {
+    return { status: error.status, body: { error: error.message } };
+  }
+  console.error(`${route.failure}:`, error);
+  return { status: 500, body: { error: route.failure } };
+}
@@ -0,0 +1,71 @@
+/**
+ * Express adapter for the API route table
+ */
+
+import express from 'express';
+import { ROUTES } from './index.js';
+import { checkPathParams, errorResponse } from './errors.js';
+
+/**
+ * Guard for endpoints that change data
+ * Requires "Authorization: Bearer <ADMIN_TOKEN>"; refused entirely if ADMIN_TOKEN is unset
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+  }
+  if (req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Query string as flat strings, repeated keys joined with commas
+ * (how Netlify fills queryStringParameters)
+ */
+export function flatQuery(url) {
+  const query = {};
+  const search = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  for (const [key, value] of new URLSearchParams(search)) {
+    query[key] = key in query ? `${query[key]},${value}` : value;
+  }
+  return query;
+}
+
+/**
+ * Router serving every route in ROUTES against db (a pg Pool)
+ */
+export function apiRouter(db) {
+  const router = express.Router();
+  router.use(express.json());
+
+  for (const route of ROUTES) {
+    const guards = route.admin ? [requireAdmin] : [];
+    router[route.method.toLowerCase()](route.path, ...guards, async (req, res) => {
+      try {
+        checkPathParams(req.params);
+        const body = await route.handle(db, {
+          params: req.params,
+          query: flatQuery(req.originalUrl),
+          body: req.body || {}
+        });
+        res.status(route.status || 200).json(body);
+      } catch (error) {
+        const { status, body } = errorResponse(route, error);
+        res.status(status).json(body);
+      }
+    });
+  }
+
+  // Malformed JSON bodies
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    next(error);
+  });
+
+  return router;
+}
@@ -0,0 +1,79 @@
+/**
+ * Facet counts for the catalog sidebar
+ */
+
+import { targetFilters, applySpecQuery } from './targets.js';
+import { resolveUnits, fromMm } from '../units.js';
+
+// Column each facet counts, how its values are ordered, and the length field
+// for facets reported in the requested units
+const FACETS = {
+  material: { expr: 'COALESCE(m.name, t.material)', order: 'count DESC, value', extra: ', MAX(m.symbol) as symbol' },
+  diameter: { expr: 't.diameter_mm', order: 'value DESC', field: 'diameter_mm' },
+  thickness: { expr: 't.thickness_mm', order: 'value ASC', field: 'thickness_mm' },
+  type: { expr: 't.target_type', order: 'count DESC, value' },
+  purity: { expr: 't.purity', order: 'value DESC' },
+  backing_plate: { expr: 't.backing_plate', order: 'count DESC, value' }
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+/**
+ * Convert facet rows to the requested units; lengths that round to the
+ * same inch value are merged and their counts added
+ */
+export function facetValues(rows, units, field) {
+  const merged = new Map();
+  for (const { value, count, ...rest } of rows) {
+    const converted = field ? fromMm(value, units, field) : value;
+    const existing = merged.get(converted);
+    if (existing) {
+      existing.count += count;
+    } else {
+      merged.set(converted, { value: converted, count, ...rest });
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * GET /api/facets
+ * Takes the /api/targets filters and returns, for each facet (material,
+ * diameter, thickness, type, purity, backing_plate), the values present in
+ * the filtered set with their counts. A facet's own filter is left out of its
+ * counts, so the other values show how many targets picking them would give.
+ * Response: { total, units, facets: { material: [{ value, count, symbol }], diameter: [...], ... } }
+ */
+export const getFacets = {
+  method: 'GET',
+  path: '/api/facets',
+  netlify: 'facets',
+  failure: 'Failed to fetch facets',
+  async handle(db, { query }) {
+    const units = resolveUnits(query.units);
+    const { params } = await applySpecQuery(db, query, units);
+
+    const { where, values } = targetFilters(params, units);
+    const total = db.query(`SELECT COUNT(*)::int as total FROM targets t WHERE 1=1${where}`, values);
+
+    const facetResults = FACET_NAMES.map(name => {
+      const { expr, order, extra = '' } = FACETS[name];
+      const filters = targetFilters(params, units, { omit: [name] });
+      return db.query(`
+        SELECT ${expr} as value, COUNT(*)::int as count${extra}
+        FROM targets t
+        LEFT JOIN materials m ON m.id = t.material_id
+        WHERE ${expr} IS NOT NULL${filters.where}
+        GROUP BY 1
+        ORDER BY ${order}
+      `, filters.values);
+    });
+
+    const [totalResult, ...results] = await Promise.all([total, ...facetResults]);
+    const facets = Object.fromEntries(FACET_NAMES.map((name, i) => (
+      [name, facetValues(results[i].rows, units, FACETS[name].field)]
+    )));
+
+    return { total: totalResult.rows[0]?.total || 0, units, facets };
+  }
+};
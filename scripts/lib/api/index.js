@@ -0,0 +1,62 @@
+/**
+ * API route table
+ * Each route is { method, path, handle(db, { params, query, body }), failure,
+ * admin?, status?, netlify? }. handle returns the JSON body or throws an
+ * ApiError; the Express and Netlify adapters only translate requests and
+ * responses. Routes with a `netlify` function name are also deployed there
+ * (netlify/functions/<name>.js plus a redirect in netlify.toml).
+ */
+
+import { health, listDiameters, listThicknesses, listCoaters, getStats, listIngestRuns } from './catalog.js';
+import { listTargets, getTarget, updateTarget, getTargetEquivalents, getTargetPrices } from './targets.js';
+import { getFacets } from './facets.js';
+import { listMaterials, listUnmatchedMaterials, getMaterial, addAlias } from './materials.js';
+import { listQuarantine, getQuarantined, updateQuarantined, approveQuarantined, rejectQuarantined } from './quarantine.js';
+import {
+  listLots, getLot, createLot, updateLot, deleteLot,
+  listInventory, getInventoryItem, createInventoryItem, updateInventoryItem, deleteInventoryItem
+} from './inventory.js';
+
+export { ApiError } from './errors.js';
+
+export * from './catalog.js';
+export * from './targets.js';
+export * from './facets.js';
+export * from './materials.js';
+export * from './quarantine.js';
+export * from './inventory.js';
+
+// Fixed paths come before parameterised ones (/api/materials/unmatched before /:symbol)
+export const ROUTES = [
+  health,
+  listTargets,
+  getFacets,
+  getTarget,
+  updateTarget,
+  getTargetEquivalents,
+  getTargetPrices,
+  listMaterials,
+  listUnmatchedMaterials,
+  getMaterial,
+  addAlias,
+  listDiameters,
+  listThicknesses,
+  listCoaters,
+  getStats,
+  listIngestRuns,
+  listQuarantine,
+  getQuarantined,
+  updateQuarantined,
+  approveQuarantined,
+  rejectQuarantined,
+  listLots,
+  getLot,
+  createLot,
+  updateLot,
+  deleteLot,
+  listInventory,
+  getInventoryItem,
+  createInventoryItem,
+  updateInventoryItem,
+  deleteInventoryItem
+];
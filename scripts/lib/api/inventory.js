@@ -0,0 +1,333 @@
+/**
+ * Lab inventory endpoints: received lots and the stock kept at each location
+ */
+
+import { ApiError, parseId } from './errors.js';
+import { validateLot, validateInventoryItem } from '../inventory.js';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+function validated({ values, reasons }) {
+  if (reasons) {
+    throw new ApiError(400, reasons.join('; '));
+  }
+  return values;
+}
+
+/**
+ * Check that a lot's target and an inventory item's lot exist and agree
+ */
+async function checkInventoryLinks(db, { target_id, lot_id }) {
+  const target = await db.query(`SELECT id FROM targets WHERE id = $1`, [target_id]);
+  if (target.rows.length === 0) {
+    throw new ApiError(404, `Target ${target_id} not found`);
+  }
+  if (lot_id) {
+    const lot = await db.query(`SELECT target_id FROM lots WHERE id = $1`, [lot_id]);
+    if (lot.rows.length === 0) {
+      throw new ApiError(404, `Lot ${lot_id} not found`);
+    }
+    if (lot.rows[0].target_id !== target_id) {
+      throw new ApiError(422, `Lot ${lot_id} belongs to target ${lot.rows[0].target_id}, not ${target_id}`);
+    }
+  }
+}
+
+async function lotItemCount(db, lotId) {
+  const used = await db.query(`SELECT COUNT(*)::int as n FROM inventory_items WHERE lot_id = $1`, [lotId]);
+  return used.rows[0].n;
+}
+
+/**
+ * INSERT or UPDATE ... RETURNING * for validated values
+ */
+async function insertRow(db, table, values) {
+  const fields = Object.keys(values);
+  const result = await db.query(`
+    INSERT INTO ${table} (${fields.join(', ')})
+    VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, Object.values(values));
+  return result.rows[0];
+}
+
+async function updateRow(db, table, id, values) {
+  const fields = Object.keys(values);
+  const result = await db.query(`
+    UPDATE ${table} SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...Object.values(values)]);
+  return result.rows[0];
+}
+
+function duplicateLot(error, values) {
+  if (error.code === UNIQUE_VIOLATION) {
+    return new ApiError(409, `Lot ${values.vendor_lot_number} is already recorded for this target`);
+  }
+  return error;
+}
+
+/**
+ * GET /api/lots
+ * Lots received, newest first, with the stock still held from each
+ * Query: target_id
+ */
+export const listLots = {
+  method: 'GET',
+  path: '/api/lots',
+  failure: 'Failed to fetch lots',
+  async handle(db, { query: params }) {
+    const values = [];
+    let query = `
+      SELECT l.*, t.part_number, t.vendor, t.material,
+        COALESCE(SUM(i.quantity), 0)::int as in_stock
+      FROM lots l
+      JOIN targets t ON t.id = l.target_id
+      LEFT JOIN inventory_items i ON i.lot_id = l.id
+    `;
+    if (params.target_id) {
+      query += ` WHERE l.target_id = $1`;
+      values.push(parseId('target_id', params.target_id));
+    }
+    query += ` GROUP BY l.id, t.id ORDER BY l.received_date DESC NULLS LAST, l.id DESC`;
+
+    const result = await db.query(query, values);
+    return { data: result.rows };
+  }
+};
+
+/**
+ * GET /api/lots/:id
+ * A lot with the inventory items drawn from it
+ */
+export const getLot = {
+  method: 'GET',
+  path: '/api/lots/:id',
+  failure: 'Failed to fetch lot',
+  async handle(db, { params }) {
+    const lot = await db.query(`
+      SELECT l.*, t.part_number, t.vendor, t.material
+      FROM lots l
+      JOIN targets t ON t.id = l.target_id
+      WHERE l.id = $1
+    `, [params.id]);
+    if (lot.rows.length === 0) {
+      throw new ApiError(404, 'Lot not found');
+    }
+
+    const items = await db.query(`
+      SELECT * FROM inventory_items WHERE lot_id = $1 ORDER BY location, id
+    `, [params.id]);
+
+    return { ...lot.rows[0], items: items.rows };
+  }
+};
+
+/**
+ * POST /api/lots
+ * Record a received lot
+ * Body: { "target_id": 12, "vendor_lot_number": "L2291", "received_date": "2024-03-01",
+ *         "coa_file": "https://.../coa-L2291.pdf", "notes": "..." }
+ */
+export const createLot = {
+  method: 'POST',
+  path: '/api/lots',
+  admin: true,
+  status: 201,
+  failure: 'Failed to create lot',
+  async handle(db, { body }) {
+    const values = validated(validateLot(body));
+    await checkInventoryLinks(db, values);
+    try {
+      return await insertRow(db, 'lots', values);
+    } catch (error) {
+      throw duplicateLot(error, values);
+    }
+  }
+};
+
+/**
+ * PATCH /api/lots/:id
+ * Update lot fields; the target cannot change while stock refers to the lot
+ */
+export const updateLot = {
+  method: 'PATCH',
+  path: '/api/lots/:id',
+  admin: true,
+  failure: 'Failed to update lot',
+  async handle(db, { params, body }) {
+    const values = validated(validateLot(body, { partial: true }));
+    if (Object.keys(values).length === 0) {
+      throw new ApiError(400, 'No fields to update');
+    }
+
+    const current = await db.query(`SELECT * FROM lots WHERE id = $1`, [params.id]);
+    if (current.rows.length === 0) {
+      throw new ApiError(404, 'Lot not found');
+    }
+
+    if (values.target_id && values.target_id !== current.rows[0].target_id) {
+      await checkInventoryLinks(db, values);
+      const items = await lotItemCount(db, params.id);
+      if (items > 0) {
+        throw new ApiError(409, `Lot has ${items} inventory item(s); move them before changing its target`);
+      }
+    }
+
+    try {
+      return await updateRow(db, 'lots', params.id, values);
+    } catch (error) {
+      throw duplicateLot(error, values);
+    }
+  }
+};
+
+/**
+ * DELETE /api/lots/:id
+ * Remove a lot; refused while inventory items still refer to it
+ */
+export const deleteLot = {
+  method: 'DELETE',
+  path: '/api/lots/:id',
+  admin: true,
+  failure: 'Failed to delete lot',
+  async handle(db, { params }) {
+    const items = await lotItemCount(db, params.id);
+    if (items > 0) {
+      throw new ApiError(409, `Lot has ${items} inventory item(s); delete or move them first`);
+    }
+
+    const result = await db.query(`DELETE FROM lots WHERE id = $1 RETURNING *`, [params.id]);
+    if (result.rows.length === 0) {
+      throw new ApiError(404, 'Lot not found');
+    }
+    return result.rows[0];
+  }
+};
+
+/**
+ * GET /api/inventory
+ * Targets on the shelf, with their lot details
+ * Query: target_id, location (substring), include_empty=true to list items with quantity 0
+ */
+export const listInventory = {
+  method: 'GET',
+  path: '/api/inventory',
+  failure: 'Failed to fetch inventory',
+  async handle(db, { query: params }) {
+    const { target_id, location, include_empty } = params;
+    const values = [];
+    let query = `
+      SELECT i.*, t.part_number, t.vendor, t.material, t.diameter_mm, t.thickness_mm,
+        l.vendor_lot_number, l.coa_file
+      FROM inventory_items i
+      JOIN targets t ON t.id = i.target_id
+      LEFT JOIN lots l ON l.id = i.lot_id
+      WHERE 1=1
+    `;
+    if (include_empty !== 'true') {
+      query += ` AND i.quantity > 0`;
+    }
+    if (target_id) {
+      values.push(parseId('target_id', target_id));
+      query += ` AND i.target_id = $${values.length}`;
+    }
+    if (location) {
+      values.push(`%${location}%`);
+      query += ` AND LOWER(i.location) LIKE LOWER($${values.length})`;
+    }
+    query += ` ORDER BY i.location, t.material, i.id`;
+
+    const result = await db.query(query, values);
+    return { data: result.rows };
+  }
+};
+
+/**
+ * GET /api/inventory/:id
+ */
+export const getInventoryItem = {
+  method: 'GET',
+  path: '/api/inventory/:id',
+  failure: 'Failed to fetch inventory item',
+  async handle(db, { params }) {
+    const result = await db.query(`
+      SELECT i.*, t.part_number, t.vendor, t.material,
+        l.vendor_lot_number, l.received_date as lot_received_date, l.coa_file
+      FROM inventory_items i
+      JOIN targets t ON t.id = i.target_id
+      LEFT JOIN lots l ON l.id = i.lot_id
+      WHERE i.id = $1
+    `, [params.id]);
+    if (result.rows.length === 0) {
+      throw new ApiError(404, 'Inventory item not found');
+    }
+    return result.rows[0];
+  }
+};
+
+/**
+ * POST /api/inventory
+ * Put targets on the shelf
+ * Body: { "target_id": 12, "lot_id": 3, "location": "Cabinet B, shelf 2", "quantity": 4,
+ *         "received_date": "2024-03-01", "notes": "..." }
+ */
+export const createInventoryItem = {
+  method: 'POST',
+  path: '/api/inventory',
+  admin: true,
+  status: 201,
+  failure: 'Failed to create inventory item',
+  async handle(db, { body }) {
+    const values = validated(validateInventoryItem(body));
+    await checkInventoryLinks(db, values);
+    return insertRow(db, 'inventory_items', values);
+  }
+};
+
+/**
+ * PATCH /api/inventory/:id
+ * Update an item, e.g. { "quantity": 3 } after using a target or { "location": "..." } after moving it
+ */
+export const updateInventoryItem = {
+  method: 'PATCH',
+  path: '/api/inventory/:id',
+  admin: true,
+  failure: 'Failed to update inventory item',
+  async handle(db, { params, body }) {
+    const values = validated(validateInventoryItem(body, { partial: true }));
+    if (Object.keys(values).length === 0) {
+      throw new ApiError(400, 'No fields to update');
+    }
+
+    const current = await db.query(`SELECT * FROM inventory_items WHERE id = $1`, [params.id]);
+    if (current.rows.length === 0) {
+      throw new ApiError(404, 'Inventory item not found');
+    }
+
+    if ('target_id' in values || 'lot_id' in values) {
+      await checkInventoryLinks(db, { ...current.rows[0], ...values });
+    }
+
+    return updateRow(db, 'inventory_items', params.id, values);
+  }
+};
+
+/**
+ * DELETE /api/inventory/:id
+ */
+export const deleteInventoryItem = {
+  method: 'DELETE',
+  path: '/api/inventory/:id',
+  admin: true,
+  failure: 'Failed to delete inventory item',
+  async handle(db, { params }) {
+    const result = await db.query(`DELETE FROM inventory_items WHERE id = $1 RETURNING *`, [params.id]);
+    if (result.rows.length === 0) {
+      throw new ApiError(404, 'Inventory item not found');
+    }
+    return result.rows[0];
+  }
+};
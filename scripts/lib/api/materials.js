@@ -0,0 +1,131 @@
+/**
+ * Material endpoints: catalog counts, properties and alias maintenance
+ */
+
+import { ApiError } from './errors.js';
+import { normalizeMaterialAlias, addMaterialAlias, MaterialAliasConflictError } from '../materials.js';
+
+/**
+ * GET /api/materials
+ * Get list of available materials with counts
+ * Targets are grouped by their resolved material; unrecognised names are
+ * listed as-is with a null material_id, symbol and color_gradient
+ */
+export const listMaterials = {
+  method: 'GET',
+  path: '/api/materials',
+  netlify: 'materials',
+  failure: 'Failed to fetch materials',
+  async handle(db) {
+    const result = await db.query(`
+      SELECT 
+        COALESCE(m.name, t.material) as material,
+        m.id as material_id,
+        m.symbol,
+        m.category,
+        m.color_gradient,
+        COUNT(*) as count
+      FROM targets t
+      LEFT JOIN materials m ON m.id = t.material_id
+      WHERE NOT t.discontinued
+      GROUP BY COALESCE(m.name, t.material), m.id, m.symbol, m.category, m.color_gradient
+      ORDER BY count DESC
+    `);
+    return result.rows;
+  }
+};
+
+/**
+ * GET /api/materials/unmatched
+ * Material names that resolve to no known material, for review
+ * (fix with POST /api/materials/aliases)
+ */
+export const listUnmatchedMaterials = {
+  method: 'GET',
+  path: '/api/materials/unmatched',
+  netlify: 'materials-unmatched',
+  failure: 'Failed to fetch unmatched materials',
+  async handle(db) {
+    const result = await db.query(`
+      SELECT
+        t.material,
+        COUNT(*) as count,
+        array_agg(DISTINCT t.vendor) as vendors,
+        (array_agg(t.part_number ORDER BY t.part_number))[1:5] as sample_part_numbers
+      FROM targets t
+      WHERE t.material_id IS NULL AND NOT t.discontinued
+      GROUP BY t.material
+      ORDER BY count DESC, t.material
+    `);
+    return result.rows;
+  }
+};
+
+/**
+ * GET /api/materials/:symbol
+ * A material's physical properties, aliases and catalog count
+ * Accepts the symbol or any alias ("Au", "gold"); the symbol may hold a "/"
+ * (/api/materials/Au/Pd), so it takes the rest of the path
+ */
+export const getMaterial = {
+  method: 'GET',
+  path: '/api/materials/:symbol(.+)',
+  netlify: 'material-detail',
+  failure: 'Failed to fetch material',
+  async handle(db, { params }) {
+    const result = await db.query(`
+      SELECT
+        m.*,
+        ARRAY(SELECT a.alias FROM material_aliases a WHERE a.material_id = m.id ORDER BY a.alias) as aliases,
+        (SELECT COUNT(*) FROM targets t WHERE t.material_id = m.id AND NOT t.discontinued) as target_count
+      FROM materials m
+      WHERE m.id = (SELECT material_id FROM material_aliases WHERE alias = $1)
+    `, [normalizeMaterialAlias(params.symbol)]);
+
+    if (result.rows.length === 0) {
+      throw new ApiError(404, 'Material not found');
+    }
+    return result.rows[0];
+  }
+};
+
+/**
+ * POST /api/materials/aliases
+ * Teach a material name; targets using it are linked right away
+ * Body: { "alias": "Iridium (NEW)", "symbol": "Ir" }
+ */
+export const addAlias = {
+  method: 'POST',
+  path: '/api/materials/aliases',
+  admin: true,
+  status: 201,
+  failure: 'Failed to add material alias',
+  async handle(db, { body }) {
+    const { alias, symbol } = body;
+    if (!normalizeMaterialAlias(alias) || !symbol) {
+      throw new ApiError(400, 'alias and symbol are required');
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const material = await client.query(`SELECT id, symbol, name FROM materials WHERE LOWER(symbol) = LOWER($1)`, [symbol]);
+      if (material.rows.length === 0) {
+        throw new ApiError(404, `Unknown material symbol "${symbol}"`);
+      }
+
+      const result = await addMaterialAlias(client, alias, material.rows[0].id);
+      await client.query('COMMIT');
+      return { ...result, symbol: material.rows[0].symbol, name: material.rows[0].name };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error instanceof MaterialAliasConflictError) {
+        throw new ApiError(409, error.message);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Netlify Functions adapter for the API route table
+ * Path parameters arrive as query parameters, filled in by the redirects in
+ * netlify.toml (/api/targets/:id/prices → target-prices?id=:id)
+ */
+
+import pg from 'pg';
+import { checkPathParams, errorResponse } from './errors.js';
+
+const { Pool } = pg;
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+};
+
+let pool;
+
+// One small pool per function instance; null when DATABASE_URL is unset
+function getPool() {
+  if (!process.env.DATABASE_URL) return null;
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: true,
+      max: 3,
+      idleTimeoutMillis: 10000,
+      connectionTimeoutMillis: 10000,
+    });
+  }
+  return pool;
+}
+
+function respond(statusCode, body) {
+  return { statusCode, headers: HEADERS, body: JSON.stringify(body) };
+}
+
+/**
+ * Netlify handler for one route
+ * Options: getDb (defaults to the shared pool; tests pass a stub)
+ * The route is kept on handler.route
+ */
+export function netlifyHandler(route, { getDb = getPool } = {}) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  async function handler(event) {
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 204, headers: HEADERS };
+    }
+    if (event.httpMethod !== route.method) {
+      return respond(405, { error: `${event.httpMethod} is not allowed here` });
+    }
+
+    const db = getDb();
+    if (!db) {
+      return respond(500, { error: 'DATABASE_URL not configured' });
+    }
+
+    const query = { ...event.queryStringParameters };
+    const params = {};
+    for (const name of pathParams) {
+      if (!query[name]) {
+        return respond(400, { error: `${name} is required` });
+      }
+      params[name] = query[name];
+      delete query[name];
+    }
+
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body);
+      } catch {
+        return respond(400, { error: 'Invalid JSON body' });
+      }
+    }
+
+    try {
+      checkPathParams(params);
+      return respond(route.status || 200, await route.handle(db, { params, query, body }));
+    } catch (error) {
+      const { status, body: errorBody } = errorResponse(route, error);
+      return respond(status, errorBody);
+    }
+  }
+
+  handler.route = route;
+  return handler;
+}
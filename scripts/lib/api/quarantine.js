@@ -0,0 +1,215 @@
+/**
+ * Quarantine endpoints: the review queue for low-confidence parsed rows
+ */
+
+import { ApiError, parseId, parseCount } from './errors.js';
+import { upsertTarget, recordPrice } from '../catalog-db.js';
+import { scoreTarget } from '../confidence.js';
+import { normalizeTarget } from '../../vendors/normalize.js';
+
+const LIST_STATUSES = ['pending', 'approved', 'rejected', 'all'];
+
+// Fields a reviewer may correct on a quarantined row
+const QUARANTINE_EDITABLE_FIELDS = [
+  'part_number', 'target_type', 'material', 'purity',
+  'diameter_mm', 'outer_diameter_mm', 'inner_diameter_mm', 'thickness_mm',
+  'backing_plate', 'alloy_ratio', 'notes', 'price_usd', 'price_status'
+];
+
+/**
+ * GET /api/quarantine
+ * List quarantined rows
+ * Query parameters:
+ *   - status: pending (default), approved, rejected or all
+ *   - vendor: Filter by vendor name
+ *   - limit / offset: Pagination (default 100)
+ * An unknown status, or a limit or offset that is not a whole number, is a 400
+ */
+export const listQuarantine = {
+  method: 'GET',
+  path: '/api/quarantine',
+  failure: 'Failed to fetch quarantine',
+  async handle(db, { query: params }) {
+    const { status = 'pending', vendor, limit = '100', offset = '0' } = params;
+    if (!LIST_STATUSES.includes(status)) {
+      throw new ApiError(400, `status must be one of ${LIST_STATUSES.join(', ')}`);
+    }
+
+    let query = `
+      SELECT q.*, s.vendor
+      FROM targets_quarantine q
+      LEFT JOIN sources s ON q.source_id = s.id
+      WHERE 1=1
+    `;
+    const values = [];
+    let paramIndex = 1;
+
+    if (status !== 'all') {
+      query += ` AND q.status = $${paramIndex}`;
+      values.push(status);
+      paramIndex++;
+    }
+    if (vendor) {
+      query += ` AND LOWER(s.vendor) = LOWER($${paramIndex})`;
+      values.push(vendor);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY q.confidence ASC, q.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    values.push(parseId('limit', limit), parseCount('offset', offset));
+
+    const result = await db.query(query, values);
+    return { data: result.rows };
+  }
+};
+
+/**
+ * GET /api/quarantine/:id
+ * Get a single quarantined row
+ */
+export const getQuarantined = {
+  method: 'GET',
+  path: '/api/quarantine/:id',
+  failure: 'Failed to fetch quarantined row',
+  async handle(db, { params }) {
+    const result = await db.query(`
+      SELECT q.*, s.vendor, s.source_url
+      FROM targets_quarantine q
+      LEFT JOIN sources s ON q.source_id = s.id
+      WHERE q.id = $1
+    `, [params.id]);
+
+    if (result.rows.length === 0) {
+      throw new ApiError(404, 'Quarantined row not found');
+    }
+    return result.rows[0];
+  }
+};
+
+/**
+ * PATCH /api/quarantine/:id
+ * Fix fields on a pending row; the confidence score is recomputed
+ * Body: { "thickness_mm": 0.1, "diameter_mm": 57, ... }
+ */
+export const updateQuarantined = {
+  method: 'PATCH',
+  path: '/api/quarantine/:id',
+  admin: true,
+  failure: 'Failed to update quarantined row',
+  async handle(db, { params, body: updates }) {
+    const unknown = Object.keys(updates).filter(key => !QUARANTINE_EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Fields cannot be edited: ${unknown.join(', ')}`);
+    }
+
+    const current = await db.query(`SELECT * FROM targets_quarantine WHERE id = $1`, [params.id]);
+    if (current.rows.length === 0) {
+      throw new ApiError(404, 'Quarantined row not found');
+    }
+    if (current.rows[0].status !== 'pending') {
+      throw new ApiError(409, `Row is already ${current.rows[0].status}`);
+    }
+
+    const parsed = normalizeTarget({ ...current.rows[0].parsed, ...updates });
+    const score = scoreTarget(parsed);
+
+    const result = await db.query(`
+      UPDATE targets_quarantine SET
+        part_number = $2,
+        parsed = $3,
+        confidence = $4,
+        unparsed_fields = $5,
+        edited_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [params.id, parsed.part_number, JSON.stringify(parsed), score.confidence, JSON.stringify(score.unparsed)]);
+
+    return result.rows[0];
+  }
+};
+
+/**
+ * POST /api/quarantine/:id/approve
+ * Move a pending row into targets
+ * Body (optional): { "note": "Checked against vendor PDF" }
+ */
+export const approveQuarantined = {
+  method: 'POST',
+  path: '/api/quarantine/:id/approve',
+  admin: true,
+  failure: 'Failed to approve quarantined row',
+  async handle(db, { params, body }) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(`SELECT * FROM targets_quarantine WHERE id = $1 FOR UPDATE`, [params.id]);
+      if (current.rows.length === 0) {
+        throw new ApiError(404, 'Quarantined row not found');
+      }
+      const row = current.rows[0];
+      if (row.status !== 'pending') {
+        throw new ApiError(409, `Row is already ${row.status}`);
+      }
+
+      const target = normalizeTarget(row.parsed);
+      if (!target.part_number || !target.material) {
+        throw new ApiError(422, 'part_number and material are required before approval');
+      }
+
+      const upserted = await upsertTarget(client, target, row.source_id, 'review');
+      const targetId = upserted.rows[0].id;
+      await recordPrice(client, targetId, target, row.source_id);
+
+      const result = await client.query(`
+        UPDATE targets_quarantine SET
+          status = 'approved',
+          target_id = $2,
+          review_note = $3,
+          reviewed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [row.id, targetId, body.note || null]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+/**
+ * POST /api/quarantine/:id/reject
+ * Reject a pending row; it stays out of targets until the source text changes
+ * Body (optional): { "note": "Accessory, not a target" }
+ */
+export const rejectQuarantined = {
+  method: 'POST',
+  path: '/api/quarantine/:id/reject',
+  admin: true,
+  failure: 'Failed to reject quarantined row',
+  async handle(db, { params, body }) {
+    const result = await db.query(`
+      UPDATE targets_quarantine SET
+        status = 'rejected',
+        review_note = $2,
+        reviewed_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [params.id, body.note || null]);
+
+    if (result.rows.length === 0) {
+      const exists = await db.query(`SELECT status FROM targets_quarantine WHERE id = $1`, [params.id]);
+      if (exists.rows.length === 0) {
+        throw new ApiError(404, 'Quarantined row not found');
+      }
+      throw new ApiError(409, `Row is already ${exists.rows[0].status}`);
+    }
+
+    return result.rows[0];
+  }
+};
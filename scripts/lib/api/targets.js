@@ -0,0 +1,606 @@
+/**
+ * Target endpoints: catalog listing, detail, hand corrections, equivalents and prices
+ */
+
+import { ApiError, parseId } from './errors.js';
+import { recordPrice, replaceComponents } from '../catalog-db.js';
+import { parseComposition } from '../composition.js';
+import { PROVENANCE_FIELDS, recordProvenance, setFieldLocks, loadProvenance } from '../provenance.js';
+import { normalizeMaterialAlias, withMaterialIds } from '../materials.js';
+import { resolveUnits, filterToMm, filterTolerance, convertDimensions } from '../units.js';
+import { searchMatches } from '../search.js';
+import { parseSpecQuery } from '../spec-query.js';
+import { normalizeTarget } from '../../vendors/normalize.js';
+
+// A dimension filter in mm; a value that is not a number is the client's mistake
+function dimensionToMm(name, value, units) {
+  const mm = filterToMm(value, units);
+  if (mm === null) throw new ApiError(400, `${name} must be a number`);
+  return mm;
+}
+
+// Hand-edited fields checked before normalizeTarget(), which would quietly
+// turn a bad value into null (and the edit would then lock it)
+const EDIT_NUMBERS = ['diameter_mm', 'outer_diameter_mm', 'inner_diameter_mm', 'thickness_mm', 'price_usd'];
+const EDIT_TEXT_LENGTHS = { material: 100, purity: 50, backing_plate: 100, alloy_ratio: 100, dimensions_text: 200, notes: null };
+const EDIT_CHOICES = { target_type: ['disc', 'annular', 'other'], price_status: ['listed', 'on_request', null] };
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Reasons the edited values cannot be written as given, against the stored
+ * row: numbers must be positive, choices known, text within its column, and
+ * a price only with price_status listed (any other status clears the price)
+ */
+function editReasons(values, row) {
+  const reasons = [];
+  for (const [field, value] of Object.entries(values)) {
+    if (EDIT_NUMBERS.includes(field)) {
+      if (!isBlank(value) && !(Number(value) > 0)) reasons.push(`${field} must be a positive number`);
+    } else if (field in EDIT_CHOICES) {
+      if (!EDIT_CHOICES[field].includes(value)) {
+        reasons.push(`${field} must be one of ${EDIT_CHOICES[field].filter(Boolean).join(', ')}`);
+      }
+    } else if (field === 'material' && isBlank(value)) {
+      reasons.push('material is required');
+    } else if (!isBlank(value) && EDIT_TEXT_LENGTHS[field] && String(value).trim().length > EDIT_TEXT_LENGTHS[field]) {
+      reasons.push(`${field} is longer than ${EDIT_TEXT_LENGTHS[field]} characters`);
+    }
+  }
+
+  // A new price without a status is a listed price, as normalizeTarget() reads it
+  const status = 'price_status' in values ? values.price_status
+    : !isBlank(values.price_usd) ? 'listed' : row.price_status;
+  const price = 'price_usd' in values ? values.price_usd : status === 'listed' ? row.price_usd : null;
+  if (status === 'listed' && isBlank(price)) {
+    reasons.push('price_status listed needs a price_usd');
+  } else if (status !== 'listed' && !isBlank(price)) {
+    reasons.push(`price_usd must be empty when price_status is ${status ?? 'null'}`);
+  }
+  return reasons;
+}
+
+/**
+ * WHERE conditions (" AND ...") and values for the /api/targets filters,
+ * numbered from $1, and the number of the search parameter (null without a
+ * search). omit lists facets whose own filter is left out
+ * (material, diameter, thickness, type, purity, backing_plate), so
+ * /api/facets can count the alternatives to a selected value.
+ * A dimension filter that is not a number, a min_fraction outside 0-1, or a
+ * coater that is not an id, is an ApiError (400).
+ */
+export function targetFilters(params, units, { omit = [] } = {}) {
+  const {
+    material,
+    diameter,
+    diameter_min,
+    diameter_max,
+    thickness,
+    thickness_min,
+    thickness_max,
+    type,
+    purity,
+    backing_plate,
+    search,
+    vendor,
+    include_discontinued,
+    contains,
+    min_fraction,
+    coater
+  } = params;
+  let where = '';
+  const values = [];
+  let paramIndex = 1;
+
+  // Discontinued targets are hidden unless explicitly requested
+  if (include_discontinued !== 'true') {
+    where += ` AND NOT t.discontinued`;
+  }
+
+  // Material filter: any alias of a known material ("Au" finds "Gold"), or the
+  // vendor's text of an unmatched material. The same key as the material facet
+  // (the material's name, else the text), so a facet count is what choosing it returns
+  if (material && !omit.includes('material')) {
+    where += ` AND (t.material_id = (SELECT material_id FROM material_aliases WHERE alias = $${paramIndex})
+      OR (t.material_id IS NULL AND LOWER(t.material) = LOWER($${paramIndex + 1})))`;
+    values.push(normalizeMaterialAlias(material), material);
+    paramIndex += 2;
+  }
+
+  // Dimension filters are given in the requested units; exact matches
+  // in inches allow for the rounding applied to inch output
+  const dimensionFilters = [
+    ['diameter_mm', diameter, diameter_min, diameter_max, 'diameter'],
+    ['thickness_mm', thickness, thickness_min, thickness_max, 'thickness']
+  ];
+  for (const [field, exact, min, max, facet] of dimensionFilters) {
+    if (omit.includes(facet)) continue;
+    if (exact) {
+      const value = dimensionToMm(facet, exact, units);
+      const tolerance = filterTolerance(units, field);
+      where += ` AND t.${field} BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+      values.push(value - tolerance, value + tolerance);
+      paramIndex += 2;
+    }
+    if (min) {
+      where += ` AND t.${field} >= $${paramIndex}`;
+      values.push(dimensionToMm(`${facet}_min`, min, units));
+      paramIndex++;
+    }
+    if (max) {
+      where += ` AND t.${field} <= $${paramIndex}`;
+      values.push(dimensionToMm(`${facet}_max`, max, units));
+      paramIndex++;
+    }
+  }
+
+  // Type filter
+  if (type && !omit.includes('type')) {
+    where += ` AND t.target_type = $${paramIndex}`;
+    values.push(type);
+    paramIndex++;
+  }
+
+  // Purity and backing plate match the vendor's text exactly, ignoring case
+  if (purity && !omit.includes('purity')) {
+    where += ` AND LOWER(t.purity) = LOWER($${paramIndex})`;
+    values.push(purity);
+    paramIndex++;
+  }
+  if (backing_plate && !omit.includes('backing_plate')) {
+    where += ` AND LOWER(t.backing_plate) = LOWER($${paramIndex})`;
+    values.push(backing_plate);
+    paramIndex++;
+  }
+
+  // Composition filter (contains=Pd&min_fraction=0.2)
+  if (contains) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM target_components c
+      WHERE c.target_id = t.id AND LOWER(c.element_symbol) = LOWER($${paramIndex})`;
+    values.push(contains);
+    paramIndex++;
+    if (min_fraction) {
+      // Fractions run from 0 to 1 (0.2 is 20%)
+      const fraction = Number(min_fraction);
+      if (!(fraction >= 0 && fraction <= 1)) {
+        throw new ApiError(400, 'min_fraction must be a number from 0 to 1');
+      }
+      where += ` AND c.fraction >= $${paramIndex}`;
+      values.push(fraction);
+      paramIndex++;
+    }
+    where += `)`;
+  }
+
+  // Coater filter: targets whose size fits the coater's head
+  if (coater) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM coater_targets ct
+      WHERE ct.target_id = t.id AND ct.coater_id = $${paramIndex}
+    )`;
+    values.push(parseId('coater', coater));
+    paramIndex++;
+  }
+
+  // Vendor filter
+  if (vendor) {
+    where += ` AND LOWER(t.vendor) = LOWER($${paramIndex})`;
+    values.push(vendor);
+    paramIndex++;
+  }
+
+  // Search: whole words (any alias of the material counts), a substring such as
+  // part of a part number (strpos, so "%" and "_" are plain characters), or a
+  // close misspelling ("platnum")
+  let searchParam = null;
+  if (search) {
+    where += ` AND (
+      t.search_vector @@ websearch_to_tsquery('simple', $${paramIndex}) OR
+      strpos(t.search_text, LOWER($${paramIndex})) > 0 OR
+      LOWER($${paramIndex}) <% t.search_text
+    )`;
+    values.push(search);
+    searchParam = paramIndex;
+    paramIndex++;
+  }
+
+  return { where, values, searchParam };
+}
+
+/**
+ * Read the q parameter ("au 57mm 0.1 annular 99.999") as filters, using
+ * the known material aliases. Filters given as their own parameters win.
+ * Returns { params, interpreted }; interpreted is null without q
+ */
+export async function applySpecQuery(db, params, units) {
+  if (!params.q) return { params, interpreted: null };
+
+  const aliases = await db.query(`
+    SELECT a.alias, m.name FROM material_aliases a JOIN materials m ON m.id = a.material_id
+  `);
+  const materials = new Map(aliases.rows.map(r => [r.alias, r.name]));
+  const interpreted = parseSpecQuery(params.q, { materials, units });
+
+  const merged = { ...params };
+  for (const [key, value] of Object.entries(interpreted.filters)) {
+    if (!merged[key]) merged[key] = String(value);
+  }
+  return { params: merged, interpreted };
+}
+
+/**
+ * Relevance of a target to the search in parameter $n: word matches ranked
+ * by field weight, plus how closely the best-matching words are spelled
+ */
+function searchRelevance(searchParam) {
+  return `ts_rank(t.search_vector, websearch_to_tsquery('simple', $${searchParam}))
+        + word_similarity(LOWER($${searchParam}), t.search_text)`;
+}
+
+/**
+ * GET /api/targets
+ * Query parameters:
+ *   - material: Filter by material name or alias (exact, as the material facet lists it)
+ *   - diameter: Filter by diameter (exact or range with min/max)
+ *   - thickness: Filter by thickness
+ *   - type: Filter by target type (disc/annular)
+ *   - purity: Purity as listed (e.g. 99.99%)
+ *   - backing_plate: Backing plate as listed (e.g. Copper)
+ *   - search: Full-text and fuzzy search across part_number, material and its aliases,
+ *     alloy ratio, vendor and notes; results carry the matched spans per field
+ *   - q: Free-text spec query ("au 57mm 0.1 annular 99.999") read as material,
+ *     diameter, thickness, type and purity filters; echoed back as `interpreted`
+ *   - vendor: Only targets from this vendor (part numbers are unique per vendor, not globally)
+ *   - include_discontinued: 'true' to include targets dropped by their source
+ *   - contains: Element symbol the target must contain (e.g. Pd)
+ *   - min_fraction: With contains, minimum fraction of that element (0-1)
+ *   - coater: Coater ID; only targets that fit that coater
+ *   - units: 'mm' (default) or 'in'; applies to dimension filters and results
+ *   - sort: Sort field (relevance, material, diameter, thickness, part_number);
+ *     relevance (the default with a search) needs a search, otherwise material
+ *   - order: Sort order (asc/desc)
+ *   - limit: Number of results (default 100)
+ *   - offset: Pagination offset
+ */
+export const listTargets = {
+  method: 'GET',
+  path: '/api/targets',
+  netlify: 'targets',
+  failure: 'Failed to fetch targets',
+  async handle(db, { query: queryParams }) {
+    const units = resolveUnits(queryParams.units);
+    const { params, interpreted } = await applySpecQuery(db, queryParams, units);
+    const {
+      search,
+      sort = search ? 'relevance' : 'material',
+      order = 'asc',
+      limit = '100',
+      offset = '0'
+    } = params;
+    const { where, values, searchParam } = targetFilters(params, units);
+
+    let query = `
+      SELECT 
+        t.id,
+        t.part_number,
+        t.target_type,
+        t.material,
+        t.material_id,
+        m.symbol as material_symbol,
+        m.color_gradient as material_color,
+        t.purity,
+        t.diameter_mm,
+        t.outer_diameter_mm,
+        t.inner_diameter_mm,
+        t.thickness_mm,
+        t.dimensions_text,
+        t.backing_plate,
+        t.alloy_ratio,
+        t.notes,
+        t.discontinued,
+        t.discontinued_at,
+        comp.components,
+        stock.in_stock,
+        s.vendor,
+        t.updated_at${searchParam ? `,
+        ${searchRelevance(searchParam)} as relevance` : ''}
+      FROM targets t
+      LEFT JOIN sources s ON t.source_id = s.id
+      LEFT JOIN materials m ON m.id = t.material_id
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(json_agg(json_build_object(
+          'symbol', c.element_symbol,
+          'fraction', c.fraction,
+          'basis', c.basis
+        ) ORDER BY c.position), '[]'::json) as components
+        FROM target_components c
+        WHERE c.target_id = t.id
+      ) comp ON true
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(i.quantity), 0)::int as in_stock
+        FROM inventory_items i
+        WHERE i.target_id = t.id
+      ) stock ON true
+      WHERE 1=1
+    `;
+
+    query += where;
+    const paramIndex = values.length + 1;
+
+    // Count query shares the filters (taken before ORDER BY / LIMIT are added)
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
+    const countValues = [...values];
+
+    // Sorting
+    const validSortFields = ['material', 'diameter_mm', 'thickness_mm', 'part_number', 'updated_at'];
+    const sortOrder = order.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+    // Vendor and id break ties so pages are stable when vendors share a part number
+    if (sort === 'relevance' && searchParam) {
+      query += ` ORDER BY relevance DESC, t.material, t.vendor, t.id`;
+    } else {
+      const sortField = validSortFields.includes(sort) ? sort : 'material';
+      query += ` ORDER BY t.${sortField} ${sortOrder} NULLS LAST, t.vendor, t.id`;
+    }
+
+    // Pagination
+    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    values.push(parseInt(limit), parseInt(offset));
+
+    const result = await db.query(query, values);
+    const countResult = await db.query(countQuery, countValues);
+
+    const rows = search
+      ? result.rows.map(row => ({ ...row, matches: searchMatches(row, search) }))
+      : result.rows;
+
+    return {
+      data: rows.map(row => convertDimensions(row, units)),
+      units,
+      pagination: {
+        total: parseInt(countResult.rows[0]?.total || 0),
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      },
+      ...(interpreted && { interpreted })
+    };
+  }
+};
+
+/**
+ * Load a target with its components and field provenance, or null
+ */
+export async function loadTargetDetail(db, id) {
+  const result = await db.query(`
+    SELECT t.*, comp.components, stock.in_stock, s.vendor, s.source_url,
+      m.symbol as material_symbol, m.color_gradient as material_color
+    FROM targets t
+    LEFT JOIN sources s ON t.source_id = s.id
+    LEFT JOIN materials m ON m.id = t.material_id
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(json_agg(json_build_object(
+        'symbol', c.element_symbol,
+        'fraction', c.fraction,
+        'basis', c.basis
+      ) ORDER BY c.position), '[]'::json) as components
+      FROM target_components c
+      WHERE c.target_id = t.id
+    ) comp ON true
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(i.quantity), 0)::int as in_stock
+      FROM inventory_items i
+      WHERE i.target_id = t.id
+    ) stock ON true
+    WHERE t.id = $1
+  `, [id]);
+  if (result.rows.length === 0) return null;
+
+  // Search columns are for the database only
+  const { search_aliases, search_vector, search_text, ...target } = result.rows[0];
+  const provenance = await loadProvenance(db, id);
+  const lockedFields = Object.keys(provenance).filter(field => provenance[field].locked);
+  return { ...target, provenance, locked_fields: lockedFields };
+}
+
+/**
+ * GET /api/targets/:id
+ * Get a single target by ID, with per-field provenance and locks
+ */
+export const getTarget = {
+  method: 'GET',
+  path: '/api/targets/:id',
+  netlify: 'target-detail',
+  failure: 'Failed to fetch target',
+  async handle(db, { params, query }) {
+    const target = await loadTargetDetail(db, params.id);
+    if (!target) {
+      throw new ApiError(404, 'Target not found');
+    }
+
+    const units = resolveUnits(query.units);
+    return { ...convertDimensions(target, units), units };
+  }
+};
+
+/**
+ * PATCH /api/targets/:id
+ * Correct fields by hand; edited fields are locked so ingest leaves them alone.
+ * A value that cannot be stored as given is a 400, never rewritten
+ * Body: {
+ *   "values": { "thickness_mm": 0.2 },   fields to set (locked unless also in unlock)
+ *   "lock": ["material"],                 lock without editing
+ *   "unlock": ["purity"],                 let ingest manage these again
+ *   "user": "alice"                       recorded as set_by / locked_by "user:alice"
+ * }
+ */
+export const updateTarget = {
+  method: 'PATCH',
+  path: '/api/targets/:id',
+  admin: true,
+  failure: 'Failed to update target',
+  async handle(db, { params, body }) {
+    const { values = {}, lock = [], unlock = [], user } = body;
+    const edited = Object.keys(values);
+    const unknown = [...edited, ...lock, ...unlock].filter(field => !PROVENANCE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Fields cannot be edited or locked: ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    const setBy = `user:${user || 'admin'}`;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(`SELECT * FROM targets WHERE id = $1 FOR UPDATE`, [params.id]);
+      if (current.rows.length === 0) {
+        throw new ApiError(404, 'Target not found');
+      }
+      const row = current.rows[0];
+
+      if (edited.length > 0) {
+        const reasons = editReasons(values, row);
+        if (reasons.length > 0) {
+          throw new ApiError(400, reasons.join('; '));
+        }
+        // A status other than listed means there is no price to keep
+        const price = 'price_status' in values && values.price_status !== 'listed' ? { price_usd: null } : {};
+        const updated = normalizeTarget({ ...row, ...values, ...price });
+        // Price and price status are normalized together, so they are written together
+        const written = edited.some(field => field.startsWith('price_'))
+          ? [...new Set([...edited, 'price_usd', 'price_status'])]
+          : edited;
+        const updateParams = [row.id];
+        const assignments = written.map(field => {
+          updateParams.push(updated[field]);
+          return `${field} = $${updateParams.length}`;
+        });
+        await client.query(`UPDATE targets SET ${assignments.join(', ')} WHERE id = $1`, updateParams);
+
+        if (written.includes('material') || written.includes('alloy_ratio')) {
+          await replaceComponents(client, row.id, parseComposition(updated));
+        }
+        if (written.includes('material')) {
+          const [{ material_id }] = await withMaterialIds(client, [updated]);
+          await client.query(`UPDATE targets SET material_id = $2 WHERE id = $1`, [row.id, material_id]);
+        }
+        if (written.includes('price_usd')) {
+          await recordPrice(client, row.id, updated, row.source_id);
+        }
+        await recordProvenance(client, [{ targetId: row.id, fields: written }], setBy);
+      }
+
+      await setFieldLocks(client, row.id, [...new Set([...edited, ...lock])].filter(f => !unlock.includes(f)), true, setBy);
+      await setFieldLocks(client, row.id, unlock, false, setBy);
+
+      await client.query('COMMIT');
+      return await loadTargetDetail(db, row.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+/**
+ * GET /api/targets/:id/equivalents
+ * Interchangeable parts from other vendors (same material, purity, backing
+ * plate and size within the matching tolerance), cheapest first
+ *   - include_same_vendor=true: also list equivalents from the target's own vendor
+ *   - units: 'mm' (default) or 'in'
+ */
+export const getTargetEquivalents = {
+  method: 'GET',
+  path: '/api/targets/:id/equivalents',
+  netlify: 'target-equivalents',
+  failure: 'Failed to fetch equivalents',
+  async handle(db, { params, query }) {
+    const { id } = params;
+    const units = resolveUnits(query.units);
+    const includeSameVendor = query.include_same_vendor === 'true';
+
+    const target = await db.query(`
+      SELECT t.id, t.part_number, t.vendor, m.group_id, g.match_key, g.tolerance
+      FROM targets t
+      LEFT JOIN equivalence_group_members m ON m.target_id = t.id
+      LEFT JOIN equivalence_groups g ON g.id = m.group_id
+      WHERE t.id = $1
+    `, [id]);
+
+    if (target.rows.length === 0) {
+      throw new ApiError(404, 'Target not found');
+    }
+
+    const { group_id, match_key, tolerance, vendor } = target.rows[0];
+    let equivalents = [];
+    if (group_id) {
+      const result = await db.query(`
+        SELECT t.id, t.part_number, t.material, t.purity, t.target_type,
+          t.diameter_mm, t.outer_diameter_mm, t.inner_diameter_mm, t.thickness_mm,
+          t.backing_plate, t.price_usd, t.price_status, t.vendor, s.source_url
+        FROM equivalence_group_members m
+        JOIN targets t ON t.id = m.target_id
+        LEFT JOIN sources s ON t.source_id = s.id
+        WHERE m.group_id = $1
+          AND t.id <> $2
+          AND ($3 OR t.vendor <> $4)
+        ORDER BY t.price_usd ASC NULLS LAST, t.vendor, t.part_number
+      `, [group_id, id, includeSameVendor, vendor]);
+      equivalents = result.rows.map(row => convertDimensions(row, units));
+    }
+
+    return {
+      target_id: target.rows[0].id,
+      part_number: target.rows[0].part_number,
+      group_id,
+      match_key,
+      tolerance,
+      data: equivalents,
+      units
+    };
+  }
+};
+
+/**
+ * GET /api/targets/:id/prices
+ * Get the price history for a target (newest first)
+ */
+export const getTargetPrices = {
+  method: 'GET',
+  path: '/api/targets/:id/prices',
+  netlify: 'target-prices',
+  failure: 'Failed to fetch target prices',
+  async handle(db, { params }) {
+    const { id } = params;
+    const target = await db.query(`
+      SELECT id, part_number, price_usd, price_status
+      FROM targets
+      WHERE id = $1
+    `, [id]);
+
+    if (target.rows.length === 0) {
+      throw new ApiError(404, 'Target not found');
+    }
+
+    const history = await db.query(`
+      SELECT p.price_usd, p.price_status, p.recorded_at, s.vendor
+      FROM target_prices p
+      LEFT JOIN sources s ON p.source_id = s.id
+      WHERE p.target_id = $1
+      ORDER BY p.recorded_at DESC, p.id DESC
+    `, [id]);
+
+    return {
+      target_id: target.rows[0].id,
+      part_number: target.rows[0].part_number,
+      current: {
+        price_usd: target.rows[0].price_usd,
+        price_status: target.rows[0].price_status
+      },
+      history: history.rows
+    };
+  }
+};
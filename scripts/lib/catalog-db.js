@@ -0,0 +1,234 @@
+/**
+ * Catalog Writes for EmTec Targets
+ * Shared by ingest and file import so both write targets the same way
+ */
+
+import { parseComposition } from './composition.js';
+import { loadFieldState, applyLocks, changedFields, recordProvenance } from './provenance.js';
+import { withMaterialIds } from './materials.js';
+
+/**
+ * Upsert source record
+ * source: { vendor, sourceUrl, pageTitle } (a vendor adapter works as-is)
+ * fetchedAt: when the page was fetched, if not now (e.g. a replayed snapshot)
+ */
+export async function upsertSource(client, source, fetchedAt = null) {
+  const result = await client.query(`
+    INSERT INTO sources (vendor, source_url, source_page_title, last_fetched_at)
+    VALUES ($1, $2, $3, COALESCE($4::timestamptz, NOW()))
+    ON CONFLICT (vendor, source_url) 
+    DO UPDATE SET 
+      last_fetched_at = EXCLUDED.last_fetched_at,
+      source_page_title = EXCLUDED.source_page_title
+    RETURNING id
+  `, [source.vendor, source.sourceUrl, source.pageTitle || null, fetchedAt]);
+  
+  return result.rows[0].id;
+}
+
+// Columns written by upsertTargets(), in parameter order
+const TARGET_COLUMNS = [
+  'source_id', 'vendor', 'part_number', 'target_type', 'material', 'material_id', 'purity',
+  'diameter_mm', 'outer_diameter_mm', 'inner_diameter_mm', 'thickness_mm',
+  'backing_plate', 'alloy_ratio', 'notes', 'price_usd', 'price_status', 'raw_excerpt',
+  'dimensions_text'
+];
+
+function targetValues(target, sourceId, vendor) {
+  return [
+    sourceId,
+    vendor,
+    target.part_number,
+    target.target_type || 'disc',
+    target.material,
+    target.material_id ?? null,
+    target.purity || null,
+    target.diameter_mm || null,
+    target.outer_diameter_mm || null,
+    target.inner_diameter_mm || null,
+    target.thickness_mm || null,
+    target.backing_plate || null,
+    target.alloy_ratio || null,
+    target.notes || null,
+    target.price_usd ?? null,
+    target.price_status || null,
+    target.raw_excerpt || null,
+    target.dimensions_text || null
+  ];
+}
+
+/**
+ * Upsert a single target
+ */
+export async function upsertTarget(client, target, sourceId, setBy = 'ingest') {
+  return upsertTargets(client, [target], sourceId, setBy);
+}
+
+/**
+ * Upsert several targets with one multi-row statement, then their components
+ * Targets are keyed on (vendor, part number), so vendors sharing a part number never collide
+ * Locked fields keep their stored values; changed fields get setBy as provenance
+ * material_id is resolved from the material name (null when it is not a known alias)
+ * Part numbers must be unique within the batch (Postgres cannot update a row twice)
+ * Returns the query result; rows are { id, part_number, is_insert }
+ */
+export async function upsertTargets(client, incoming, sourceId, setBy = 'ingest') {
+  const source = await client.query('SELECT vendor FROM sources WHERE id = $1', [sourceId]);
+  if (source.rows.length === 0) {
+    throw new Error(`Unknown source ${sourceId}`);
+  }
+  const { vendor } = source.rows[0];
+  
+  const state = await loadFieldState(client, vendor, incoming.map(t => t.part_number));
+  const targets = await withMaterialIds(client, incoming.map(target => applyLocks(target, state.get(target.part_number))));
+  
+  const values = [];
+  const rows = targets.map(target => {
+    const placeholders = targetValues(target, sourceId, vendor).map(value => {
+      values.push(value);
+      return `$${values.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  
+  const result = await client.query(`
+    INSERT INTO targets (${TARGET_COLUMNS.join(', ')})
+    VALUES ${rows.join(',\n      ')}
+    ON CONFLICT (vendor, part_number) DO UPDATE SET
+      source_id = EXCLUDED.source_id,
+      target_type = EXCLUDED.target_type,
+      material = EXCLUDED.material,
+      material_id = EXCLUDED.material_id,
+      purity = EXCLUDED.purity,
+      diameter_mm = EXCLUDED.diameter_mm,
+      outer_diameter_mm = EXCLUDED.outer_diameter_mm,
+      inner_diameter_mm = EXCLUDED.inner_diameter_mm,
+      thickness_mm = EXCLUDED.thickness_mm,
+      backing_plate = EXCLUDED.backing_plate,
+      alloy_ratio = EXCLUDED.alloy_ratio,
+      notes = EXCLUDED.notes,
+      -- Keep the last known price when the source row had no price at all
+      price_usd = CASE WHEN EXCLUDED.price_status IS NULL THEN targets.price_usd ELSE EXCLUDED.price_usd END,
+      price_status = COALESCE(EXCLUDED.price_status, targets.price_status),
+      raw_excerpt = EXCLUDED.raw_excerpt,
+      dimensions_text = EXCLUDED.dimensions_text,
+      -- Seen on the source again, so it is no longer discontinued
+      discontinued = FALSE,
+      discontinued_at = NULL,
+      updated_at = NOW()
+    RETURNING id, part_number, (xmax = 0) as is_insert
+  `, values);
+  
+  const ids = new Map(result.rows.map(r => [r.part_number, r.id]));
+  await replaceComponentsMany(client, targets.map(target => ({
+    targetId: ids.get(target.part_number),
+    components: parseComposition(target)
+  })));
+  await recordProvenance(client, targets.map(target => ({
+    targetId: ids.get(target.part_number),
+    fields: changedFields(target, state.get(target.part_number))
+  })), setBy, sourceId);
+  
+  return result;
+}
+
+/**
+ * Replace a target's composition rows
+ * components: [{ symbol, fraction, basis, position }] from parseComposition()
+ */
+export async function replaceComponents(client, targetId, components) {
+  return replaceComponentsMany(client, [{ targetId, components }]);
+}
+
+/**
+ * Replace the composition rows of several targets in two statements
+ * entries: [{ targetId, components }]
+ */
+export async function replaceComponentsMany(client, entries) {
+  if (entries.length === 0) return;
+  await client.query(`DELETE FROM target_components WHERE target_id = ANY($1)`, [entries.map(e => e.targetId)]);
+  
+  const values = [];
+  const rows = [];
+  for (const { targetId, components } of entries) {
+    for (const c of components) {
+      values.push(targetId, c.symbol, c.fraction, c.basis, c.position);
+      const n = values.length;
+      rows.push(`($${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`);
+    }
+  }
+  if (rows.length === 0) return;
+  
+  await client.query(`
+    INSERT INTO target_components (target_id, element_symbol, fraction, basis, position)
+    VALUES ${rows.join(', ')}
+  `, values);
+}
+
+/**
+ * Append a price history row if the price differs from the last one recorded
+ * Returns true when a row was written
+ */
+export async function recordPrice(client, targetId, target, sourceId) {
+  return (await recordPrices(client, [{ targetId, target }], sourceId)) > 0;
+}
+
+/**
+ * recordPrice() for several targets in one statement
+ * entries: [{ targetId, target }]; returns the number of history rows written
+ */
+export async function recordPrices(client, entries, sourceId) {
+  const priced = entries.filter(e => e.target.price_status);
+  if (priced.length === 0) return 0;
+  
+  const result = await client.query(`
+    INSERT INTO target_prices (target_id, source_id, price_usd, price_status)
+    SELECT v.target_id, $1::int, v.price_usd, v.price_status
+    FROM unnest($2::int[], $3::numeric[], $4::varchar[]) AS v(target_id, price_usd, price_status)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM (
+        SELECT price_usd, price_status
+        FROM target_prices
+        WHERE target_id = v.target_id
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT 1
+      ) last
+      WHERE last.price_usd IS NOT DISTINCT FROM v.price_usd
+        AND last.price_status = v.price_status
+    )
+  `, [
+    sourceId,
+    priced.map(e => e.targetId),
+    priced.map(e => e.target.price_usd ?? null),
+    priced.map(e => e.target.price_status)
+  ]);
+  
+  return result.rowCount;
+}
+
+/**
+ * Put a low-confidence row in targets_quarantine
+ * A pending entry for the same source part number is refreshed, unless a reviewer has edited it
+ */
+export async function quarantineTarget(client, target, score, sourceId, runId = null) {
+  return client.query(`
+    INSERT INTO targets_quarantine (
+      source_id, ingest_run_id, part_number, parsed, confidence, unparsed_fields, raw_excerpt
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (source_id, part_number) WHERE status = 'pending' DO UPDATE SET
+      ingest_run_id = EXCLUDED.ingest_run_id,
+      parsed = CASE WHEN targets_quarantine.edited_at IS NULL THEN EXCLUDED.parsed ELSE targets_quarantine.parsed END,
+      confidence = CASE WHEN targets_quarantine.edited_at IS NULL THEN EXCLUDED.confidence ELSE targets_quarantine.confidence END,
+      unparsed_fields = CASE WHEN targets_quarantine.edited_at IS NULL THEN EXCLUDED.unparsed_fields ELSE targets_quarantine.unparsed_fields END,
+      raw_excerpt = EXCLUDED.raw_excerpt
+    RETURNING id, (xmax = 0) as is_insert
+  `, [
+    sourceId,
+    runId,
+    target.part_number,
+    JSON.stringify(target),
+    score.confidence,
+    JSON.stringify(score.unparsed),
+    target.raw_excerpt || null
+  ]);
+}
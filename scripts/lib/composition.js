@@ -0,0 +1,109 @@
+/**
+ * Alloy Composition parsing for EmTec Targets
+ * Turns material names and alloy_ratio text into element fractions
+ */
+
+// Element names seen in vendor listings, mapped to symbols
+export const ELEMENT_SYMBOLS = {
+  gold: 'Au',
+  silver: 'Ag',
+  platinum: 'Pt',
+  palladium: 'Pd',
+  iridium: 'Ir',
+  rhodium: 'Rh',
+  ruthenium: 'Ru',
+  copper: 'Cu',
+  aluminum: 'Al',
+  aluminium: 'Al',
+  titanium: 'Ti',
+  chromium: 'Cr',
+  chrome: 'Cr',
+  nickel: 'Ni',
+  iron: 'Fe',
+  cobalt: 'Co',
+  tungsten: 'W',
+  tantalum: 'Ta',
+  molybdenum: 'Mo',
+  niobium: 'Nb',
+  zirconium: 'Zr',
+  hafnium: 'Hf',
+  vanadium: 'V',
+  carbon: 'C',
+  silicon: 'Si',
+  germanium: 'Ge',
+  indium: 'In',
+  tin: 'Sn',
+  zinc: 'Zn',
+  magnesium: 'Mg'
+};
+
+const SYMBOLS = new Set(Object.values(ELEMENT_SYMBOLS));
+
+/**
+ * Resolve an element name or symbol ("Gold", "au", "Pd") to its symbol
+ */
+export function elementSymbol(name) {
+  if (!name) return null;
+  const text = String(name).trim();
+  const bySymbol = [...SYMBOLS].find(s => s.toLowerCase() === text.toLowerCase());
+  return bySymbol || ELEMENT_SYMBOLS[text.toLowerCase()] || null;
+}
+
+function toComponents(pairs, basis) {
+  const total = pairs.reduce((sum, p) => sum + p.percent, 0);
+  if (total <= 0 || total > 100.5) return [];
+  
+  return pairs.map((p, i) => ({
+    symbol: p.symbol,
+    fraction: Math.round((p.percent / 100) * 10000) / 10000,
+    basis,
+    position: i
+  }));
+}
+
+/**
+ * Parse a target's composition
+ * Returns [{ symbol, fraction (0-1), basis: 'weight' | 'atomic', position }]
+ * An empty array means the composition could not be determined
+ */
+export function parseComposition(target) {
+  const ratioText = target.alloy_ratio || '';
+  const excerpt = target.raw_excerpt || '';
+  const basis = /\bat(?:omic)?\.?\s*%|atomic/i.test(`${ratioText} ${excerpt}`) ? 'atomic' : 'weight';
+  
+  // "80% Au / 20% Pd" or "Au 80% / Pd 20%"
+  const explicit = [...ratioText.matchAll(/(\d+(?:\.\d+)?)\s*(?:wt|at)?\.?\s*%\s*([A-Z][a-z]?)\b|\b([A-Z][a-z]?)\s*(\d+(?:\.\d+)?)\s*%/g)]
+    .map(m => ({ symbol: elementSymbol(m[2] || m[3]), percent: parseFloat(m[1] || m[4]) }));
+  if (explicit.length > 0 && explicit.every(p => p.symbol)) {
+    return toComponents(explicit, basis);
+  }
+  
+  // Elements from "Au:Pd" in the description, else from the material ("Gold/Palladium")
+  const pairMatch = excerpt.match(/\b([A-Z][a-z]?(?:\s*:\s*[A-Z][a-z]?)+)\b/);
+  let elements = pairMatch
+    ? pairMatch[1].split(':').map(elementSymbol)
+    : String(target.material || '').split(/\s*[/\-–]\s*/).map(elementSymbol);
+  if (elements.length === 0 || elements.some(e => !e)) return [];
+  
+  // Single element: a pure target
+  if (elements.length === 1) {
+    return toComponents([{ symbol: elements[0], percent: 100 }], basis);
+  }
+  
+  // "80/20" or "60:40" matched to the element order
+  const ratio = ratioText.match(/^\s*(\d+(?:\.\d+)?(?:\s*[:/]\s*\d+(?:\.\d+)?)+)\s*$/);
+  if (!ratio) return [];
+  const parts = ratio[1].split(/[:/]/).map(parseFloat);
+  if (parts.length !== elements.length) return [];
+  
+  return toComponents(elements.map((symbol, i) => ({ symbol, percent: parts[i] })), basis);
+}
+
+/**
+ * Format components as "80% Au / 20% Pd"
+ */
+export function formatComposition(components) {
+  return components
+    .map(c => `${+(c.fraction * 100).toFixed(2)}% ${c.symbol}`)
+    .join(' / ');
+}
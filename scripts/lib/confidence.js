@@ -0,0 +1,84 @@
+/**
+ * Parse Confidence for EmTec Targets ingestion
+ * Scores a normalized target row and lists the fields that could not be parsed
+ */
+
+// Share of the score each field contributes (sums to 1)
+const WEIGHTS = {
+  part_number: 0.15,
+  material: 0.3,
+  diameter: 0.25,
+  thickness_mm: 0.2,
+  purity: 0.1
+};
+
+// Rows scoring below this go to targets_quarantine instead of targets
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.85;
+
+/**
+ * Resolve the threshold from QUARANTINE_THRESHOLD, falling back to the default
+ */
+export function confidenceThreshold(value = process.env.QUARANTINE_THRESHOLD) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 && num <= 1 ? num : DEFAULT_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Whether a scored row must be quarantined
+ * Rows without a part number or material can never go straight into targets
+ */
+export function shouldQuarantine(target, score, threshold = confidenceThreshold()) {
+  return !target.part_number || !target.material || score.confidence < threshold;
+}
+
+/**
+ * Score a target: { confidence: 0..1, unparsed: ['field', ...] }
+ */
+export function scoreTarget(target) {
+  const unparsed = [];
+  
+  if (!target.part_number) unparsed.push('part_number');
+  if (!target.material) unparsed.push('material');
+  
+  // Disc targets need a diameter, annular targets need both OD and ID
+  if (target.target_type === 'annular') {
+    if (!target.outer_diameter_mm) unparsed.push('outer_diameter_mm');
+    if (!target.inner_diameter_mm) unparsed.push('inner_diameter_mm');
+  } else if (!target.diameter_mm) {
+    unparsed.push('diameter_mm');
+  }
+  
+  if (!target.thickness_mm) unparsed.push('thickness_mm');
+  if (!target.purity) unparsed.push('purity');
+  
+  let confidence = 1;
+  if (unparsed.includes('part_number')) confidence -= WEIGHTS.part_number;
+  if (unparsed.includes('material')) confidence -= WEIGHTS.material;
+  if (unparsed.some(f => f.endsWith('diameter_mm'))) confidence -= WEIGHTS.diameter;
+  if (unparsed.includes('thickness_mm')) confidence -= WEIGHTS.thickness_mm;
+  if (unparsed.includes('purity')) confidence -= WEIGHTS.purity;
+  
+  return {
+    confidence: Math.round(Math.max(confidence, 0) * 100) / 100,
+    unparsed
+  };
+}
+
+/**
+ * Split rows into those that can go into targets and those to quarantine
+ */
+export function partitionByConfidence(targets, threshold = confidenceThreshold()) {
+  const accepted = [];
+  const quarantined = [];
+  
+  for (const target of targets) {
+    const score = scoreTarget(target);
+    if (shouldQuarantine(target, score, threshold)) {
+      quarantined.push({ target, score });
+    } else {
+      accepted.push(target);
+    }
+  }
+  
+  return { accepted, quarantined };
+}
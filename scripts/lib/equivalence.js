@@ -0,0 +1,165 @@
+/**
+ * Cross-Vendor Equivalence Matching for EmTec Targets
+ * Groups interchangeable targets (same material, purity, backing plate and
+ * size within a tolerance) so a part can be compared across suppliers
+ */
+
+import { parseComposition } from './composition.js';
+
+// Default size tolerances in mm; inch-listed parts rarely convert to round mm
+export const DEFAULT_TOLERANCE = {
+  diameter_mm: 0.5,
+  thickness_mm: 0.01
+};
+
+function toleranceValue(value, fallback) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? num : fallback;
+}
+
+/**
+ * Matching tolerance, from EQUIVALENCE_DIAMETER_TOLERANCE_MM and
+ * EQUIVALENCE_THICKNESS_TOLERANCE_MM unless overrides are given
+ */
+export function equivalenceTolerance(overrides = {}) {
+  return {
+    diameter_mm: toleranceValue(overrides.diameter_mm ?? process.env.EQUIVALENCE_DIAMETER_TOLERANCE_MM, DEFAULT_TOLERANCE.diameter_mm),
+    thickness_mm: toleranceValue(overrides.thickness_mm ?? process.env.EQUIVALENCE_THICKNESS_TOLERANCE_MM, DEFAULT_TOLERANCE.thickness_mm)
+  };
+}
+
+/**
+ * Material as element fractions ("Au", "Au80Pd20"), falling back to the lowercased name
+ */
+export function materialKey(target) {
+  const components = parseComposition(target);
+  if (components.length === 0) {
+    return target.material ? String(target.material).trim().toLowerCase() : null;
+  }
+  return components
+    .map(c => c.symbol + (components.length > 1 ? Math.round(c.fraction * 100) : ''))
+    .join('');
+}
+
+/**
+ * Purity as a number ("99.99%" -> 99.99), or null
+ */
+export function purityValue(purity) {
+  const num = parseFloat(String(purity ?? '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Exact part of the match: type, material, purity and backing plate
+ * Returns null when the target lacks what matching needs
+ */
+export function matchKey(target) {
+  const material = materialKey(target);
+  if (!material) return null;
+
+  const dims = target.target_type === 'annular'
+    ? [target.outer_diameter_mm, target.inner_diameter_mm]
+    : [target.diameter_mm];
+  if (dims.some(d => d === null || d === undefined)) return null;
+
+  const backing = target.backing_plate ? String(target.backing_plate).trim().toLowerCase() : 'none';
+  return [target.target_type || 'disc', material, purityValue(target.purity) ?? '?', backing].join('|');
+}
+
+function within(a, b, tolerance) {
+  if (a === null || a === undefined || b === null || b === undefined) return a == b;
+  return Math.abs(parseFloat(a) - parseFloat(b)) <= tolerance + 1e-9;
+}
+
+/**
+ * Whether two targets with the same match key are the same size within tolerance
+ */
+export function sameSize(a, b, tolerance = equivalenceTolerance()) {
+  const diameters = a.target_type === 'annular'
+    ? ['outer_diameter_mm', 'inner_diameter_mm']
+    : ['diameter_mm'];
+  return diameters.every(field => within(a[field], b[field], tolerance.diameter_mm))
+    && within(a.thickness_mm, b.thickness_mm, tolerance.thickness_mm);
+}
+
+/**
+ * Group equivalent targets
+ * Each group is anchored on its first member (smallest size first) and every
+ * member is within tolerance of the anchor, so groups never chain-drift
+ * Returns [{ key, anchor, members }] for groups of two or more
+ */
+export function groupEquivalents(targets, tolerance = equivalenceTolerance()) {
+  const byKey = new Map();
+  for (const target of targets) {
+    const key = matchKey(target);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(target);
+  }
+
+  const size = t => [t.diameter_mm ?? t.outer_diameter_mm, t.inner_diameter_mm, t.thickness_mm].map(v => parseFloat(v) || 0);
+  const groups = [];
+
+  for (const [key, candidates] of byKey) {
+    const sorted = [...candidates].sort((a, b) => {
+      const [sa, sb] = [size(a), size(b)];
+      return sa[0] - sb[0] || sa[1] - sb[1] || sa[2] - sb[2];
+    });
+
+    const open = [];
+    for (const target of sorted) {
+      const group = open.find(g => sameSize(g.anchor, target, tolerance));
+      if (group) {
+        group.members.push(target);
+      } else {
+        open.push({ key, anchor: target, members: [target] });
+      }
+    }
+    groups.push(...open.filter(g => g.members.length > 1));
+  }
+
+  return groups;
+}
+
+/**
+ * Recompute equivalence_groups from the current (not discontinued) catalog
+ * Returns the number of groups written
+ */
+export async function rebuildEquivalenceGroups(client, tolerance = equivalenceTolerance()) {
+  const targets = await client.query(`
+    SELECT id, part_number, vendor, target_type, material, purity, alloy_ratio, raw_excerpt,
+      diameter_mm, outer_diameter_mm, inner_diameter_mm, thickness_mm, backing_plate
+    FROM targets
+    WHERE NOT discontinued
+  `);
+  const groups = groupEquivalents(targets.rows, tolerance);
+
+  await client.query('DELETE FROM equivalence_groups');
+
+  for (const group of groups) {
+    const { anchor } = group;
+    const inserted = await client.query(`
+      INSERT INTO equivalence_groups (
+        match_key, target_type, diameter_mm, outer_diameter_mm, inner_diameter_mm, thickness_mm,
+        tolerance, member_count
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      group.key,
+      anchor.target_type,
+      anchor.diameter_mm,
+      anchor.outer_diameter_mm,
+      anchor.inner_diameter_mm,
+      anchor.thickness_mm,
+      JSON.stringify(tolerance),
+      group.members.length
+    ]);
+
+    await client.query(`
+      INSERT INTO equivalence_group_members (group_id, target_id)
+      SELECT $1, unnest($2::int[])
+    `, [inserted.rows[0].id, group.members.map(t => t.id)]);
+  }
+
+  return groups.length;
+}
@@ -0,0 +1,65 @@
+/**
+ * Source Fetching for EmTec Targets ingestion
+ * Downloads a vendor catalog page, with an on-disk cache for development
+ * and a snapshot of every download in the archive (see snapshots.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { saveSnapshot } from './snapshots.js';
+
+/**
+ * Cache directory; CACHE_DIR overrides it (e.g. /tmp on Netlify, where the bundle is read-only)
+ */
+export function cacheDir() {
+  return process.env.CACHE_DIR || path.join(process.cwd(), '.cache');
+}
+
+/**
+ * Fetch the source HTML for a vendor page
+ * Set USE_CACHE=true to reuse the last download instead of hitting the vendor
+ */
+export async function fetchSourceHTML(url, cacheName = 'source-page') {
+  const cacheFile = path.join(cacheDir(), `${cacheName}.html`);
+  
+  // Check for cached version in development
+  if (process.env.USE_CACHE === 'true' && fs.existsSync(cacheFile)) {
+    console.log('📦 Using cached HTML from', cacheFile);
+    return fs.readFileSync(cacheFile, 'utf8');
+  }
+  
+  console.log('🌐 Fetching from:', url);
+  
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; EmTec-Targets/1.0)'
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch source: ${response.status} ${response.statusText}`);
+  }
+  
+  const html = await response.text();
+  
+  // Archive every download; a failed write must not fail the ingest
+  try {
+    const snapshot = saveSnapshot({
+      name: cacheName,
+      url,
+      html,
+      status: response.status,
+      headers: Object.fromEntries(response.headers)
+    });
+    console.log(`🗄️  Snapshot ${snapshot.id}`);
+  } catch (err) {
+    console.warn('⚠️  Could not save snapshot:', err.message);
+  }
+  
+  // Cache for development
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  fs.writeFileSync(cacheFile, html);
+  console.log('💾 Cached HTML to', cacheFile);
+  
+  return html;
+}
@@ -0,0 +1,219 @@
+/**
+ * File Import helpers for EmTec Targets
+ * Reads CSV, JSON and XLSX supplier sheets and maps them onto the targets schema
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse as parseCSV } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import { normalizeTarget } from '../vendors/normalize.js';
+
+// Header names recognised for each targets column (compared case-insensitively)
+export const DEFAULT_COLUMN_ALIASES = {
+  part_number: ['part_number', 'part number', 'part #', 'part no', 'prod #', 'product number', 'sku', 'catalog number', 'cat #', 'cat no'],
+  target_type: ['target_type', 'target type', 'type'],
+  material: ['material', 'material name'],
+  purity: ['purity'],
+  diameter_mm: ['diameter_mm', 'diameter', 'diameter (mm)', 'dia', 'dia (mm)'],
+  outer_diameter_mm: ['outer_diameter_mm', 'outer diameter', 'outer diameter (mm)', 'od', 'o.d.', 'od (mm)'],
+  inner_diameter_mm: ['inner_diameter_mm', 'inner diameter', 'inner diameter (mm)', 'id', 'i.d.', 'id (mm)'],
+  thickness_mm: ['thickness_mm', 'thickness', 'thickness (mm)'],
+  backing_plate: ['backing_plate', 'backing plate', 'backing'],
+  alloy_ratio: ['alloy_ratio', 'alloy ratio', 'composition'],
+  notes: ['notes', 'note', 'comments'],
+  price_usd: ['price_usd', 'price', 'price (usd)', 'unit price']
+};
+
+const NUMERIC_FIELDS = ['diameter_mm', 'outer_diameter_mm', 'inner_diameter_mm', 'thickness_mm', 'price_usd'];
+const TARGET_TYPES = ['disc', 'annular', 'other'];
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Read a supplier file into { row, record } pairs
+ * row is the 1-based line or sheet row the record came from
+ */
+export async function readRecords(file) {
+  const ext = path.extname(file).toLowerCase();
+  
+  if (ext === '.csv') {
+    const records = parseCSV(fs.readFileSync(file, 'utf8'), {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+    // Header is line 1
+    return records.map((record, i) => ({ row: i + 2, record }));
+  }
+  
+  if (ext === '.json') {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const records = Array.isArray(data) ? data : data.targets;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON import must be an array of targets or { "targets": [...] }');
+    }
+    return records.map((record, i) => ({ row: i + 1, record }));
+  }
+  
+  if (ext === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new Error('Workbook has no worksheets');
+    
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+      headers[col] = cell.text.trim();
+    });
+    
+    const records = [];
+    sheet.eachRow((sheetRow, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, col) => {
+        if (header) record[header] = sheetRow.getCell(col).text.trim();
+      });
+      if (Object.values(record).some(v => !isBlank(v))) {
+        records.push({ row: rowNumber, record });
+      }
+    });
+    return records;
+  }
+  
+  throw new Error(`Unsupported file type "${ext}" (expected .csv, .json or .xlsx)`);
+}
+
+/**
+ * Work out which file header feeds each targets column
+ * mapping: optional { field: "Header in file" } overrides
+ */
+export function resolveColumns(headers, mapping = {}) {
+  const byKey = new Map(headers.map(h => [headerKey(h), h]));
+  const columns = {};
+  
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!(field in DEFAULT_COLUMN_ALIASES)) {
+      throw new Error(`Column mapping names unknown field "${field}"`);
+    }
+    const match = byKey.get(headerKey(header));
+    if (!match) {
+      throw new Error(`Column mapping for "${field}" refers to missing column "${header}"`);
+    }
+    columns[field] = match;
+  }
+  
+  for (const [field, aliases] of Object.entries(DEFAULT_COLUMN_ALIASES)) {
+    if (columns[field]) continue;
+    const alias = aliases.find(a => byKey.has(a));
+    if (alias) columns[field] = byKey.get(alias);
+  }
+  
+  return columns;
+}
+
+/**
+ * Pick the mapped columns out of a record
+ */
+export function mapRecord(record, columns) {
+  const raw = {};
+  for (const [field, header] of Object.entries(columns)) {
+    const value = record[header];
+    raw[field] = isBlank(value) ? null : String(value).trim();
+  }
+  return raw;
+}
+
+/**
+ * Validate a mapped record and build the target row
+ * Returns { target } or { reasons: [...] }
+ */
+export function validateRecord(raw) {
+  const reasons = [];
+  
+  if (!raw.part_number) reasons.push('part_number is required');
+  if (!raw.material) reasons.push('material is required');
+  
+  const targetType = raw.target_type ? raw.target_type.toLowerCase() : 'disc';
+  if (!TARGET_TYPES.includes(targetType)) {
+    reasons.push(`target_type "${raw.target_type}" must be one of ${TARGET_TYPES.join(', ')}`);
+  }
+  
+  // P.O.R. / "on request" in the price column means price on request
+  let priceStatus = null;
+  let price = raw.price_usd;
+  if (price && /^(p\.?\s*o\.?\s*r\.?|on request|price on request)$/i.test(price)) {
+    priceStatus = 'on_request';
+    price = null;
+  }
+  
+  const numbers = {};
+  for (const field of NUMERIC_FIELDS) {
+    const value = field === 'price_usd' ? price : raw[field];
+    if (!value) {
+      numbers[field] = null;
+      continue;
+    }
+    const num = Number(String(value).replace(/[$,]/g, '').replace(/\s*mm$/i, ''));
+    if (!Number.isFinite(num)) {
+      reasons.push(`${field} "${value}" is not a number`);
+    } else if (num <= 0) {
+      reasons.push(`${field} must be greater than 0`);
+    }
+    numbers[field] = num;
+  }
+  
+  if (targetType === 'disc' && !raw.diameter_mm) {
+    reasons.push('disc targets need diameter_mm');
+  }
+  if (targetType === 'annular') {
+    if (!raw.outer_diameter_mm || !raw.inner_diameter_mm) {
+      reasons.push('annular targets need outer_diameter_mm and inner_diameter_mm');
+    } else if (numbers.inner_diameter_mm >= numbers.outer_diameter_mm) {
+      reasons.push('inner_diameter_mm must be smaller than outer_diameter_mm');
+    }
+  }
+  
+  if (reasons.length > 0) return { reasons };
+  
+  return {
+    target: normalizeTarget({
+      ...raw,
+      ...numbers,
+      target_type: targetType,
+      price_status: priceStatus,
+      raw_excerpt: JSON.stringify(raw)
+    })
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rejected rows to a CSV file: row, reason, then the original columns
+ */
+export function writeRejects(file, rejects) {
+  const headers = [];
+  for (const { record } of rejects) {
+    for (const key of Object.keys(record)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+  
+  const lines = [['row', 'reason', ...headers].map(csvCell).join(',')];
+  for (const { row, reasons, record } of rejects) {
+    lines.push([row, reasons.join('; '), ...headers.map(h => record[h])].map(csvCell).join(','));
+  }
+  
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
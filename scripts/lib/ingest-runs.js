@@ -0,0 +1,90 @@
+/**
+ * Ingest Run History for EmTec Targets
+ * Records one ingest_runs row per vendor per ingest
+ */
+
+// Keep the stored error list bounded if a run fails row after row
+const MAX_ERROR_MESSAGES = 100;
+
+/**
+ * Insert a 'running' row and return the run object to fill in
+ */
+export async function startRun(client, adapter) {
+  const result = await client.query(`
+    INSERT INTO ingest_runs (vendor, source_url, status)
+    VALUES ($1, $2, 'running')
+    RETURNING id
+  `, [adapter.vendor, adapter.sourceUrl]);
+  
+  return {
+    id: result.rows[0].id,
+    sourceId: null,
+    htmlBytes: null,
+    parsedCount: null,
+    inserted: 0,
+    updated: 0,
+    quarantined: 0,
+    errors: 0,
+    errorMessages: []
+  };
+}
+
+/**
+ * Parsed count of the vendor's last committed run, or null if there is none
+ */
+export async function previousParsedCount(client, run, adapter) {
+  const result = await client.query(`
+    SELECT parsed_count
+    FROM ingest_runs
+    WHERE vendor = $1 AND id <> $2 AND status IN ('success', 'partial')
+    ORDER BY started_at DESC
+    LIMIT 1
+  `, [adapter.vendor, run.id]);
+  
+  return result.rows[0]?.parsed_count ?? null;
+}
+
+/**
+ * Add an error message to the run
+ */
+export function recordRunError(run, message) {
+  if (run.errorMessages.length < MAX_ERROR_MESSAGES) {
+    run.errorMessages.push(message);
+  }
+}
+
+/**
+ * Close the run: 'success', 'partial' (some rows failed but the run committed),
+ * 'rolled_back' (a guard tripped, nothing was written) or 'failed'
+ */
+export async function finishRun(client, run, failure = null) {
+  const status = failure || (run.errors > 0 ? 'partial' : 'success');
+  
+  await client.query(`
+    UPDATE ingest_runs SET
+      finished_at = NOW(),
+      status = $2,
+      source_id = $3,
+      html_bytes = $4,
+      parsed_count = $5,
+      inserted_count = $6,
+      updated_count = $7,
+      error_count = $8,
+      error_messages = $9,
+      quarantined_count = $10
+    WHERE id = $1
+  `, [
+    run.id,
+    status,
+    run.sourceId,
+    run.htmlBytes,
+    run.parsedCount,
+    run.inserted,
+    run.updated,
+    run.errors,
+    JSON.stringify(run.errorMessages),
+    run.quarantined
+  ]);
+  
+  return status;
+}
@@ -0,0 +1,107 @@
+/**
+ * Lab Inventory Validation for EmTec Targets
+ * Checks request bodies for lots (received batches of a target) and
+ * inventory items (how many of a target or lot sit at a location)
+ */
+
+// Writable columns, in the order they are inserted
+export const LOT_FIELDS = ['target_id', 'vendor_lot_number', 'received_date', 'coa_file', 'notes'];
+export const INVENTORY_FIELDS = ['target_id', 'lot_id', 'location', 'quantity', 'received_date', 'notes'];
+
+const REQUIRED = {
+  lot: ['target_id'],
+  inventory: ['target_id', 'location', 'quantity']
+};
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function textValue(value, maxLength) {
+  return isBlank(value) ? null : String(value).trim().slice(0, maxLength);
+}
+
+function idValue(field, value, reasons) {
+  if (isBlank(value)) return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) {
+    reasons.push(`${field} must be a positive integer`);
+  }
+  return num;
+}
+
+// YYYY-MM-DD, and a real calendar date
+function dateValue(field, value, reasons) {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  const date = new Date(`${text}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    reasons.push(`${field} "${text}" must be a date (YYYY-MM-DD)`);
+  }
+  return text;
+}
+
+function checkFields(kind, fields, body, partial, reasons) {
+  const unknown = Object.keys(body).filter(key => !fields.includes(key));
+  if (unknown.length > 0) {
+    reasons.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  for (const field of REQUIRED[kind]) {
+    if (partial ? field in body && isBlank(body[field]) : isBlank(body[field])) {
+      reasons.push(`${field} is required`);
+    }
+  }
+}
+
+/**
+ * Validate a lot body; partial = true for PATCH (only the given fields)
+ * Returns { values } with only the given fields, or { reasons }
+ */
+export function validateLot(body = {}, { partial = false } = {}) {
+  const reasons = [];
+  checkFields('lot', LOT_FIELDS, body, partial, reasons);
+
+  const all = {
+    target_id: idValue('target_id', body.target_id, reasons),
+    vendor_lot_number: textValue(body.vendor_lot_number, 100),
+    received_date: dateValue('received_date', body.received_date, reasons),
+    coa_file: textValue(body.coa_file, 500),
+    notes: textValue(body.notes, 2000)
+  };
+
+  if (reasons.length > 0) return { reasons };
+  return { values: pick(all, LOT_FIELDS, body, partial) };
+}
+
+/**
+ * Validate an inventory item body; partial = true for PATCH
+ * Returns { values } with only the given fields, or { reasons }
+ */
+export function validateInventoryItem(body = {}, { partial = false } = {}) {
+  const reasons = [];
+  checkFields('inventory', INVENTORY_FIELDS, body, partial, reasons);
+
+  let quantity = null;
+  if (!isBlank(body.quantity)) {
+    quantity = Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      reasons.push('quantity must be a whole number of 0 or more');
+    }
+  }
+
+  const all = {
+    target_id: idValue('target_id', body.target_id, reasons),
+    lot_id: idValue('lot_id', body.lot_id, reasons),
+    location: textValue(body.location, 200),
+    quantity,
+    received_date: dateValue('received_date', body.received_date, reasons),
+    notes: textValue(body.notes, 2000)
+  };
+
+  if (reasons.length > 0) return { reasons };
+  return { values: pick(all, INVENTORY_FIELDS, body, partial) };
+}
+
+function pick(all, fields, body, partial) {
+  return Object.fromEntries(fields.filter(f => !partial || f in body).map(f => [f, all[f]]));
+}
@@ -0,0 +1,97 @@
+/**
+ * Material Normalization for EmTec Targets
+ * Resolves free-text material names ("Au", "gold", "Gold / Palladium") to
+ * rows of the materials table through material_aliases
+ */
+
+/**
+ * An alias is already mapped to a different material
+ */
+export class MaterialAliasConflictError extends Error {
+  constructor(alias, materialId) {
+    super(`"${alias}" is already an alias of material ${materialId}`);
+    this.name = 'MaterialAliasConflictError';
+    this.materialId = materialId;
+  }
+}
+
+/**
+ * Alias lookup key: lowercase, single spaces, "/" between alloy parts
+ * ("Gold - Palladium" and "gold/palladium" -> "gold/palladium")
+ */
+export function normalizeMaterialAlias(name) {
+  if (name === null || name === undefined) return null;
+  const key = String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/\s*[/\-–]\s*/g, '/')
+    .replace(/\s+/g, ' ');
+  return key || null;
+}
+
+/**
+ * material_id for each distinct material name
+ * Returns Map normalized alias -> material_id (unknown names are absent)
+ */
+export async function resolveMaterialIds(client, names) {
+  const aliases = [...new Set(names.map(normalizeMaterialAlias).filter(Boolean))];
+  if (aliases.length === 0) return new Map();
+
+  const result = await client.query(`
+    SELECT alias, material_id FROM material_aliases WHERE alias = ANY($1)
+  `, [aliases]);
+  return new Map(result.rows.map(r => [r.alias, r.material_id]));
+}
+
+/**
+ * Targets with material_id set from their material name (null when unknown)
+ */
+export async function withMaterialIds(client, targets) {
+  const ids = await resolveMaterialIds(client, targets.map(t => t.material));
+  return targets.map(t => ({ ...t, material_id: ids.get(normalizeMaterialAlias(t.material)) ?? null }));
+}
+
+/**
+ * Link targets that have no material_id yet, e.g. after an alias is added
+ * Returns the number of targets updated
+ */
+export async function backfillMaterialIds(client) {
+  const unmatched = await client.query(`
+    SELECT id, material FROM targets WHERE material_id IS NULL
+  `);
+  const ids = await resolveMaterialIds(client, unmatched.rows.map(r => r.material));
+
+  const updates = unmatched.rows
+    .map(r => ({ id: r.id, materialId: ids.get(normalizeMaterialAlias(r.material)) }))
+    .filter(u => u.materialId !== undefined);
+  if (updates.length === 0) return 0;
+
+  await client.query(`
+    UPDATE targets t SET material_id = u.material_id
+    FROM unnest($1::int[], $2::int[]) AS u(id, material_id)
+    WHERE t.id = u.id
+  `, [updates.map(u => u.id), updates.map(u => u.materialId)]);
+  return updates.length;
+}
+
+/**
+ * Map an alias to a material, then link any targets it matches
+ * Throws MaterialAliasConflictError when the alias belongs to a different material
+ * Returns { alias, material_id, linked }
+ */
+export async function addMaterialAlias(client, name, materialId) {
+  const alias = normalizeMaterialAlias(name);
+  if (!alias) throw new Error('alias is required');
+
+  const existing = await client.query(`SELECT material_id FROM material_aliases WHERE alias = $1`, [alias]);
+  if (existing.rows.length > 0 && existing.rows[0].material_id !== materialId) {
+    throw new MaterialAliasConflictError(alias, existing.rows[0].material_id);
+  }
+
+  await client.query(`
+    INSERT INTO material_aliases (alias, material_id) VALUES ($1, $2)
+    ON CONFLICT (alias) DO NOTHING
+  `, [alias, materialId]);
+
+  return { alias, material_id: materialId, linked: await backfillMaterialIds(client) };
+}
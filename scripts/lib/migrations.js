@@ -0,0 +1,232 @@
+/**
+ * Versioned Schema Migrations for EmTec Targets
+ * Numbered files in scripts/migrations/ (001_initial_schema.js, ...) each export
+ * `up` and `down`, as SQL strings or async (client) => {} functions. Applied
+ * versions are recorded in schema_migrations with a checksum of the file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// 001_initial_schema.js -> version 1, name initial_schema
+const MIGRATION_FILE = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two migrate runs never interleave
+const MIGRATION_LOCK_KEY = 20240501;
+
+/**
+ * Migration files in a directory, oldest first: [{ version, name, file }]
+ * Throws on misnamed files and duplicate versions
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = [];
+  const seen = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      throw new Error(`Migration file "${file}" must be named NNN_description.js`);
+    }
+    const version = parseInt(match[1], 10);
+    if (seen.has(version)) {
+      throw new Error(`Migrations "${seen.get(version)}" and "${file}" share version ${version}`);
+    }
+    seen.set(version, file);
+    migrations.push({ version, name: match[2], file: path.join(dir, file) });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * SHA-256 of a migration file, to spot edits after it was applied
+ */
+export function migrationChecksum(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Import a migration's up/down steps
+ */
+export async function loadMigration(migration) {
+  const module = await import(pathToFileURL(migration.file).href);
+  for (const step of ['up', 'down']) {
+    if (typeof module[step] !== 'string' && typeof module[step] !== 'function') {
+      throw new Error(`Migration ${path.basename(migration.file)} must export "${step}" as SQL or a function`);
+    }
+  }
+  return { ...migration, up: module.up, down: module.down, checksum: migrationChecksum(migration.file) };
+}
+
+/**
+ * Status of every known version: applied, pending, modified (file changed
+ * since it was applied) or missing (applied but the file is gone)
+ */
+export function migrationStatus(available, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const rows = available.map(m => {
+    const row = appliedByVersion.get(m.version);
+    let state = 'pending';
+    if (row) {
+      state = m.checksum && row.checksum !== m.checksum ? 'modified' : 'applied';
+    }
+    return { version: m.version, name: m.name, state, applied_at: row?.applied_at ?? null };
+  });
+
+  const known = new Set(available.map(m => m.version));
+  for (const row of applied) {
+    if (!known.has(row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Migrations to apply, oldest first, up to and including version `to` (default latest)
+ */
+export function planUp(available, applied, to = null) {
+  const done = new Set(applied.map(row => row.version));
+  return available.filter(m => !done.has(m.version) && (to === null || m.version <= to));
+}
+
+/**
+ * Migrations to roll back, newest first
+ *   steps: how many applied versions to undo (default 1)
+ *   to:    undo everything above this version instead (0 = everything)
+ * Throws if a version to undo has no file to take its `down` from
+ */
+export function planDown(available, applied, { steps = 1, to = null } = {}) {
+  const byVersion = new Map(available.map(m => [m.version, m]));
+  const newestFirst = [...applied].sort((a, b) => b.version - a.version);
+  const selected = to === null ? newestFirst.slice(0, steps) : newestFirst.filter(row => row.version > to);
+
+  return selected.map(row => {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: its migration file is missing`);
+    }
+    return migration;
+  });
+}
+
+/**
+ * Create schema_migrations if needed
+ */
+export async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Applied versions, oldest first
+ */
+export async function appliedMigrations(client) {
+  const result = await client.query(`
+    SELECT version, name, checksum, applied_at
+    FROM schema_migrations
+    ORDER BY version
+  `);
+  return result.rows;
+}
+
+/**
+ * Run one migration step in its own transaction and record it
+ */
+async function runStep(client, migration, direction) {
+  const step = migration[direction];
+  try {
+    await client.query('BEGIN');
+    if (typeof step === 'function') {
+      await step(client);
+    } else {
+      await client.query(step);
+    }
+
+    if (direction === 'up') {
+      await client.query(`
+        INSERT INTO schema_migrations (version, name, checksum)
+        VALUES ($1, $2, $3)
+      `, [migration.version, migration.name, migration.checksum]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${direction} ${migration.version}_${migration.name} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Hold the migration lock for the duration of fn
+ */
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+async function loadAll(dir) {
+  return Promise.all(listMigrations(dir).map(loadMigration));
+}
+
+/**
+ * Apply pending migrations (up to `to`, default latest); returns those applied
+ * onStep(migration) is called before each one runs
+ */
+export async function migrateUp(client, { dir = MIGRATIONS_DIR, to = null, onStep = () => {} } = {}) {
+  const available = await loadAll(dir);
+  await ensureMigrationsTable(client);
+
+  return withMigrationLock(client, async () => {
+    const pending = planUp(available, await appliedMigrations(client), to);
+    for (const migration of pending) {
+      onStep(migration);
+      await runStep(client, migration, 'up');
+    }
+    return pending;
+  });
+}
+
+/**
+ * Roll back applied migrations (see planDown for steps/to); returns those undone
+ */
+export async function migrateDown(client, { dir = MIGRATIONS_DIR, steps = 1, to = null, onStep = () => {} } = {}) {
+  const available = await loadAll(dir);
+  await ensureMigrationsTable(client);
+
+  return withMigrationLock(client, async () => {
+    const rollbacks = planDown(available, await appliedMigrations(client), { steps, to });
+    for (const migration of rollbacks) {
+      onStep(migration);
+      await runStep(client, migration, 'down');
+    }
+    return rollbacks;
+  });
+}
+
+/**
+ * Status of every migration (see migrationStatus)
+ */
+export async function getMigrationStatus(client, { dir = MIGRATIONS_DIR } = {}) {
+  const available = await loadAll(dir);
+  await ensureMigrationsTable(client);
+  return migrationStatus(available, await appliedMigrations(client));
+}
@@ -0,0 +1,165 @@
+/**
+ * Ingest Plan for EmTec Targets
+ * Compares parsed targets with database rows without writing anything
+ */
+
+// Fields compared between the source and the database, in display order
+export const PLAN_FIELDS = [
+  'target_type',
+  'material',
+  'purity',
+  'diameter_mm',
+  'outer_diameter_mm',
+  'inner_diameter_mm',
+  'thickness_mm',
+  'backing_plate',
+  'alloy_ratio',
+  'notes',
+  'price_usd',
+  'price_status'
+];
+
+const NUMERIC_FIELDS = new Set([
+  'diameter_mm',
+  'outer_diameter_mm',
+  'inner_diameter_mm',
+  'thickness_mm',
+  'price_usd'
+]);
+
+// Price fields follow upsertTarget(): a row without price info keeps the old price
+export const PRICE_FIELDS = new Set(['price_usd', 'price_status']);
+
+/**
+ * Value of a field in a form that compares equal across DB rows and parsed rows
+ */
+export function comparable(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (NUMERIC_FIELDS.has(field)) {
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+  }
+  return String(value);
+}
+
+/**
+ * Build a plan for one source
+ *   existing: the vendor's database rows (targets.*); part numbers are only unique per vendor;
+ *             fields listed in row.locked_fields are never reported as changed
+ *   targets:  normalized rows from the adapter
+ *   sourceId: id of the source's row, or null if it has never been ingested
+ *   quarantined: low-confidence rows ({ target, score }) that would be queued for review
+ */
+export function buildPlan(existing, targets, sourceId = null, quarantined = []) {
+  const byPart = new Map(existing.map(row => [row.part_number, row]));
+  // Quarantined rows are still listed by the source, so they are not "missing"
+  const parsedParts = new Set([...targets, ...quarantined.map(q => q.target)].map(t => t.part_number));
+  
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  
+  for (const target of targets) {
+    const row = byPart.get(target.part_number);
+    if (!row) {
+      added.push(target);
+      continue;
+    }
+    
+    const changes = {};
+    for (const field of PLAN_FIELDS) {
+      if (PRICE_FIELDS.has(field) && !target.price_status) continue;
+      if (row.locked_fields?.includes(field)) continue;
+      
+      const from = comparable(field, row[field]);
+      const to = comparable(field, target[field]);
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+    
+    if (row.discontinued) {
+      changes.discontinued = { from: true, to: false };
+    }
+    
+    if (Object.keys(changes).length > 0) {
+      changed.push({ part_number: target.part_number, id: row.id, changes });
+    } else {
+      unchanged++;
+    }
+  }
+  
+  // Rows that would be marked discontinued (already-discontinued rows stay as they are)
+  const missing = existing
+    .filter(row => sourceId !== null && row.source_id === sourceId && !row.discontinued && !parsedParts.has(row.part_number))
+    .map(row => ({ part_number: row.part_number, id: row.id, material: row.material }));
+  
+  return {
+    summary: {
+      parsed: targets.length,
+      added: added.length,
+      changed: changed.length,
+      unchanged,
+      quarantined: quarantined.length,
+      missing: missing.length
+    },
+    added,
+    changed,
+    quarantined: quarantined.map(({ target, score }) => ({
+      part_number: target.part_number,
+      confidence: score.confidence,
+      unparsed: score.unparsed,
+      raw_excerpt: target.raw_excerpt
+    })),
+    missing
+  };
+}
+
+function formatValue(value) {
+  return value === null ? '∅' : String(value);
+}
+
+/**
+ * Print a plan in human-readable form
+ */
+export function printPlan(vendor, plan) {
+  const { summary } = plan;
+  
+  console.log(`\n📋 Dry-run plan for ${vendor}:`);
+  console.log(`   📥 Would add: ${summary.added}`);
+  console.log(`   🔄 Would change: ${summary.changed}`);
+  console.log(`   ✔️  Unchanged: ${summary.unchanged}`);
+  console.log(`   🧪 Would quarantine: ${summary.quarantined}`);
+  console.log(`   🚫 Missing from source (would be discontinued): ${summary.missing}`);
+  
+  if (plan.added.length > 0) {
+    console.log('\n   + Added:');
+    plan.added.forEach(t => {
+      console.log(`     + ${t.part_number}: ${t.material} ${t.diameter_mm || t.outer_diameter_mm || '—'}mm ${t.target_type}`);
+    });
+  }
+  
+  if (plan.changed.length > 0) {
+    console.log('\n   ~ Changed:');
+    plan.changed.forEach(c => {
+      console.log(`     ~ ${c.part_number}`);
+      Object.entries(c.changes).forEach(([field, { from, to }]) => {
+        console.log(`         ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+      });
+    });
+  }
+  
+  if (plan.quarantined.length > 0) {
+    console.log('\n   ? Quarantined (low confidence):');
+    plan.quarantined.forEach(q => {
+      console.log(`     ? ${q.part_number}: confidence ${q.confidence}, unparsed ${q.unparsed.join(', ')}`);
+    });
+  }
+  
+  if (plan.missing.length > 0) {
+    console.log('\n   - Missing from source:');
+    plan.missing.forEach(m => {
+      console.log(`     - ${m.part_number}: ${m.material}`);
+    });
+  }
+}
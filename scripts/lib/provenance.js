@@ -0,0 +1,113 @@
+/**
+ * Field Provenance and Locks for EmTec Targets
+ * Records who last set each target field and keeps locked (hand-curated)
+ * fields from being overwritten by ingest or import
+ */
+
+import { PLAN_FIELDS, PRICE_FIELDS, comparable } from './plan.js';
+
+// Target fields that carry provenance and can be locked
+export const PROVENANCE_FIELDS = [...PLAN_FIELDS, 'dimensions_text'];
+
+/**
+ * Current values and locked fields of a vendor's existing targets, by part number
+ * Returns Map part_number -> { id, row, locked: Set }
+ */
+export async function loadFieldState(client, vendor, partNumbers) {
+  const result = await client.query(`
+    SELECT t.*,
+      ARRAY(
+        SELECT p.field FROM target_field_provenance p
+        WHERE p.target_id = t.id AND p.locked
+      ) as locked_fields
+    FROM targets t
+    WHERE t.vendor = $1 AND t.part_number = ANY($2)
+  `, [vendor, partNumbers]);
+  
+  return new Map(result.rows.map(row => [row.part_number, { id: row.id, row, locked: new Set(row.locked_fields) }]));
+}
+
+/**
+ * Target with its locked fields put back to the stored values
+ */
+export function applyLocks(target, state) {
+  if (!state || state.locked.size === 0) return target;
+  
+  const locked = { ...target };
+  for (const field of state.locked) {
+    if (field in state.row) locked[field] = state.row[field];
+  }
+  return locked;
+}
+
+/**
+ * Fields a write of `target` will change (every set field for a new target)
+ * Price fields are skipped when the row has no price info, as the upsert keeps the old price
+ */
+export function changedFields(target, state) {
+  return PROVENANCE_FIELDS.filter(field => {
+    if (PRICE_FIELDS.has(field) && !target.price_status) return false;
+    const to = comparable(field, target[field]);
+    if (!state) return to !== null;
+    return comparable(field, state.row[field]) !== to;
+  });
+}
+
+/**
+ * Record that setBy (and sourceId, if any) just set these fields
+ * entries: [{ targetId, fields }]
+ */
+export async function recordProvenance(client, entries, setBy, sourceId = null) {
+  const targetIds = [];
+  const fields = [];
+  for (const entry of entries) {
+    for (const field of entry.fields) {
+      targetIds.push(entry.targetId);
+      fields.push(field);
+    }
+  }
+  if (fields.length === 0) return;
+  
+  await client.query(`
+    INSERT INTO target_field_provenance (target_id, field, set_by, source_id, set_at)
+    SELECT v.target_id, v.field, $3, $4, NOW()
+    FROM unnest($1::int[], $2::varchar[]) AS v(target_id, field)
+    ON CONFLICT (target_id, field) DO UPDATE SET
+      set_by = EXCLUDED.set_by,
+      source_id = EXCLUDED.source_id,
+      set_at = EXCLUDED.set_at
+  `, [targetIds, fields, setBy, sourceId]);
+}
+
+/**
+ * Lock or unlock fields of a target
+ * A field with no provenance yet gets a row with set_by 'unknown'
+ */
+export async function setFieldLocks(client, targetId, fields, locked, lockedBy) {
+  if (fields.length === 0) return;
+  
+  await client.query(`
+    INSERT INTO target_field_provenance (target_id, field, set_by, set_at, locked, locked_by, locked_at)
+    SELECT $1, field, 'unknown', NULL, $3, $4, NOW()
+    FROM unnest($2::varchar[]) AS field
+    ON CONFLICT (target_id, field) DO UPDATE SET
+      locked = EXCLUDED.locked,
+      locked_by = EXCLUDED.locked_by,
+      locked_at = EXCLUDED.locked_at
+  `, [targetId, fields, locked, locked ? lockedBy : null]);
+}
+
+/**
+ * Provenance of a target, keyed by field
+ */
+export async function loadProvenance(client, targetId) {
+  const result = await client.query(`
+    SELECT p.field, p.set_by, p.source_id, s.vendor, p.set_at, p.locked, p.locked_by, p.locked_at
+    FROM target_field_provenance p
+    LEFT JOIN sources s ON p.source_id = s.id
+    WHERE p.target_id = $1
+    ORDER BY p.field
+  `, [targetId]);
+  
+  return Object.fromEntries(result.rows.map(({ field, ...rest }) => [field, rest]));
+}
@@ -0,0 +1,64 @@
+/**
+ * Ingest Run Guards for EmTec Targets
+ * Thresholds that make an ingest run roll back instead of committing
+ */
+
+// Fraction of rows that may fail before the run is rolled back
+export const DEFAULT_MAX_ERROR_RATE = 0.05;
+
+// Fraction by which the parsed count may fall from the last good run
+export const DEFAULT_MAX_ROW_DROP = 0.5;
+
+// Rows per multi-row upsert statement
+export const UPSERT_BATCH_SIZE = 200;
+
+function parseFraction(value, fallback) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 && num <= 1 ? num : fallback;
+}
+
+/**
+ * Error rate threshold (0-1), from INGEST_MAX_ERROR_RATE unless given
+ */
+export function maxErrorRate(value = process.env.INGEST_MAX_ERROR_RATE) {
+  return parseFraction(value, DEFAULT_MAX_ERROR_RATE);
+}
+
+/**
+ * Row-count drop threshold (0-1), from INGEST_MAX_ROW_DROP unless given
+ */
+export function maxRowDrop(value = process.env.INGEST_MAX_ROW_DROP) {
+  return parseFraction(value, DEFAULT_MAX_ROW_DROP);
+}
+
+/**
+ * Reason to abort when the parsed count fell too far, or null
+ * previousCount is the parsed count of the vendor's last good run (null if none)
+ */
+export function checkRowDrop(parsedCount, previousCount, threshold = maxRowDrop()) {
+  if (!previousCount) return null;
+  const drop = (previousCount - parsedCount) / previousCount;
+  if (drop <= threshold) return null;
+  return `Parsed ${parsedCount} rows, down ${(drop * 100).toFixed(0)}% from ${previousCount} in the last good run (limit ${(threshold * 100).toFixed(0)}%)`;
+}
+
+/**
+ * Reason to roll back when too many rows failed, or null
+ */
+export function checkErrorRate(errors, attempted, threshold = maxErrorRate()) {
+  if (errors === 0 || attempted === 0) return null;
+  const rate = errors / attempted;
+  if (rate <= threshold) return null;
+  return `${errors} of ${attempted} rows failed (${(rate * 100).toFixed(1)}%, limit ${(threshold * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Split an array into batches of at most `size` items
+ */
+export function chunk(items, size = UPSERT_BATCH_SIZE) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
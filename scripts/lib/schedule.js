@@ -0,0 +1,47 @@
+/**
+ * Ingest Scheduling for EmTec Targets
+ * Interval parsing shared by npm run ingest:watch
+ */
+
+// Default time between scheduled ingests
+export const DEFAULT_INGEST_INTERVAL = '6h';
+
+// Longest delay setTimeout can wait; Node fires anything longer almost at once (about 24.8 days)
+export const MAX_INTERVAL_MS = 2 ** 31 - 1;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse an interval like "90s", "30m", "6h" or "1d" into milliseconds
+ * A bare number is minutes; throws on anything else, or on more than MAX_INTERVAL_MS
+ */
+export function parseInterval(value = process.env.INGEST_INTERVAL || DEFAULT_INGEST_INTERVAL) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid interval "${value}" (use e.g. 30m, 6h, 1d)`);
+  }
+  
+  const ms = parseFloat(match[1]) * UNIT_MS[(match[2] || 'm').toLowerCase()];
+  if (ms < UNIT_MS.s) {
+    throw new Error(`Interval "${value}" is too short`);
+  }
+  if (ms > MAX_INTERVAL_MS) {
+    throw new Error(`Interval "${value}" is too long (at most 24d)`);
+  }
+  return ms;
+}
+
+/**
+ * Human-readable interval for logs ("6h", "30m")
+ */
+export function formatInterval(ms) {
+  for (const unit of ['d', 'h', 'm']) {
+    if (ms % UNIT_MS[unit] === 0) return `${ms / UNIT_MS[unit]}${unit}`;
+  }
+  return `${Math.round(ms / UNIT_MS.s)}s`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Catalog search helpers
+ * Postgres finds and ranks the matches (search_vector / search_text, see
+ * migration 005); this works out where in each field a result matched so
+ * the UI can highlight it.
+ */
+
+// Fields of a target result that highlighting covers
+export const SEARCH_FIELDS = ['part_number', 'material', 'alloy_ratio', 'vendor', 'notes'];
+
+// pg_trgm's default word_similarity threshold (the <% operator)
+export const FUZZY_THRESHOLD = 0.6;
+
+/**
+ * Words of a search as websearch_to_tsquery reads it, lowercased:
+ * quotes dropped, "or" skipped, -excluded words left out
+ */
+export function searchWords(search) {
+  if (!search) return [];
+  const words = String(search)
+    .toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/[\s/,;:()]+/)
+    .filter(word => word && word !== 'or' && !word.startsWith('-'));
+  return [...new Set(words)];
+}
+
+// pg_trgm trigrams: each alphanumeric run padded with two leading spaces and one trailing
+function trigrams(text) {
+  const grams = new Set();
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+}
+
+/**
+ * Share of word's trigrams found in text, as pg_trgm's word_similarity(word, text)
+ * for a single word of text
+ */
+export function wordSimilarity(word, text) {
+  const wanted = trigrams(word);
+  if (wanted.size === 0) return 0;
+  const present = trigrams(text);
+  let shared = 0;
+  for (const gram of wanted) {
+    if (present.has(gram)) shared++;
+  }
+  return shared / wanted.size;
+}
+
+// Sort spans and merge the ones that overlap or touch
+function mergeSpans(spans) {
+  const merged = [];
+  for (const [start, end] of spans.sort((a, b) => a[0] - b[0] || a[1] - b[1])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * [start, end) character ranges of text matching any of words: every
+ * occurrence of the word, or, when it does not occur, whole words of text
+ * that are within FUZZY_THRESHOLD of it ("platnum" marks "Platinum")
+ */
+export function matchSpans(text, words) {
+  if (!text || words.length === 0) return [];
+  const value = String(text);
+  const lower = value.toLowerCase();
+  const spans = [];
+
+  for (const word of words) {
+    let found = false;
+    for (let at = lower.indexOf(word); at !== -1; at = lower.indexOf(word, at + word.length)) {
+      spans.push([at, at + word.length]);
+      found = true;
+    }
+    if (found) continue;
+
+    for (const match of value.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (wordSimilarity(word, match[0]) >= FUZZY_THRESHOLD) {
+        spans.push([match.index, match.index + match[0].length]);
+      }
+    }
+  }
+  return mergeSpans(spans);
+}
+
+/**
+ * Matched spans per field of a result row: { material: [[0, 4]], notes: [...] }
+ * Fields without a match are left out
+ */
+export function searchMatches(row, search, fields = SEARCH_FIELDS) {
+  const words = searchWords(search);
+  const matches = {};
+  for (const field of fields) {
+    const spans = matchSpans(row[field], words);
+    if (spans.length > 0) matches[field] = spans;
+  }
+  return matches;
+}
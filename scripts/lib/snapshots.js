@@ -0,0 +1,143 @@
+/**
+ * Source Snapshot Archive for EmTec Targets
+ * Every live fetch is kept as a timestamped, content-hashed snapshot so old
+ * ingests can be replayed and page changes traced
+ *
+ * Layout (SNAPSHOT_DIR, default snapshots/):
+ *   <name>/<sha256>.html                   page body, stored once per distinct content
+ *   <name>/<timestamp>_<sha12>.json        one per fetch: url, time, status, headers, hash
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { buildPlan } from './plan.js';
+
+/**
+ * Snapshot archive directory
+ */
+export function snapshotDir() {
+  return process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'snapshots');
+}
+
+/**
+ * SHA-256 of a page body, hex encoded
+ */
+export function hashContent(html) {
+  return crypto.createHash('sha256').update(html).digest('hex');
+}
+
+/**
+ * Snapshot id for a fetch: filesystem-safe ISO timestamp plus a short content hash
+ */
+export function snapshotId(fetchedAt, sha256) {
+  return `${fetchedAt.toISOString().replace(/[:.]/g, '-')}_${sha256.slice(0, 12)}`;
+}
+
+/**
+ * Store a fetched page and its metadata; returns the metadata
+ */
+export function saveSnapshot({ name, url, html, status = null, headers = {}, fetchedAt = new Date() }) {
+  const dir = path.join(snapshotDir(), name);
+  const sha256 = hashContent(html);
+  const id = snapshotId(fetchedAt, sha256);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const htmlFile = path.join(dir, `${sha256}.html`);
+  if (!fs.existsSync(htmlFile)) {
+    fs.writeFileSync(htmlFile, html);
+  }
+
+  const meta = {
+    id,
+    name,
+    url,
+    fetched_at: fetchedAt.toISOString(),
+    status,
+    headers,
+    sha256,
+    bytes: Buffer.byteLength(html)
+  };
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(meta, null, 2) + '\n');
+
+  return meta;
+}
+
+/**
+ * All snapshots, oldest first (optionally for one name)
+ */
+export function listSnapshots(name = null) {
+  const root = snapshotDir();
+  if (!fs.existsSync(root)) return [];
+
+  const names = name ? [name] : fs.readdirSync(root).filter(n => fs.statSync(path.join(root, n)).isDirectory());
+  const snapshots = [];
+  for (const n of names) {
+    const dir = path.join(root, n);
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      snapshots.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    }
+  }
+
+  return snapshots.sort((a, b) => a.fetched_at.localeCompare(b.fetched_at));
+}
+
+/**
+ * Load a snapshot by id, unique id prefix, or path to its .json file
+ * Returns { meta, html }; throws if it is missing, ambiguous or corrupted
+ */
+export function loadSnapshot(ref) {
+  let meta;
+  let dir;
+
+  if (ref.endsWith('.json') && fs.existsSync(ref)) {
+    meta = JSON.parse(fs.readFileSync(ref, 'utf8'));
+    dir = path.dirname(ref);
+  } else {
+    const matches = listSnapshots().filter(s => s.id.startsWith(ref));
+    if (matches.length === 0) {
+      throw new Error(`No snapshot matches "${ref}" in ${snapshotDir()}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`"${ref}" matches ${matches.length} snapshots; use a longer id`);
+    }
+    meta = matches[0];
+    dir = path.join(snapshotDir(), meta.name);
+  }
+
+  const htmlFile = path.join(dir, `${meta.sha256}.html`);
+  if (!fs.existsSync(htmlFile)) {
+    throw new Error(`Snapshot ${meta.id} is missing its page body (${htmlFile})`);
+  }
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  if (hashContent(html) !== meta.sha256) {
+    throw new Error(`Snapshot ${meta.id} does not match its content hash`);
+  }
+
+  return { meta, html };
+}
+
+/**
+ * Products added, removed and changed between two snapshots
+ */
+export function diffSnapshots(older, newer) {
+  // The older snapshot plays the "database" side of an ingest plan
+  const rows = older.map(t => ({ ...t, source_id: 'older' }));
+  const plan = buildPlan(rows, newer, 'older');
+
+  return {
+    summary: {
+      older: older.length,
+      newer: newer.length,
+      added: plan.added.length,
+      removed: plan.missing.length,
+      changed: plan.changed.length,
+      unchanged: plan.summary.unchanged
+    },
+    added: plan.added.map(t => t.part_number),
+    removed: plan.missing.map(m => m.part_number),
+    changed: plan.changed.map(({ part_number, changes }) => ({ part_number, changes }))
+  };
+}
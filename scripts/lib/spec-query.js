@@ -0,0 +1,124 @@
+/**
+ * Spec Query parsing for EmTec Targets
+ * Reads free text from the search box ("au 57mm 0.1 annular 99.999") as
+ * catalog filters: material, diameter, thickness, type and purity
+ */
+
+import { normalizeMaterialAlias } from './materials.js';
+import { UNIT_PATTERN, unitKey, toMm, fromMm } from './units.js';
+
+// Lengths under this are thicknesses, the rest diameters (targets are 0.05-6 mm thick, 25 mm and up across)
+export const THICKNESS_MAX_MM = 10;
+
+const TYPE_WORDS = {
+  disc: 'disc',
+  disk: 'disc',
+  round: 'disc',
+  annular: 'annular',
+  annulus: 'annular',
+  ring: 'annular'
+};
+
+// Words after a size that say which it is ("2in dia", "0.1mm thick")
+const DIAMETER_WORDS = ['dia', 'diam', 'diameter', 'od'];
+const THICKNESS_WORDS = ['thick', 'thickness'];
+
+const NUMBER = new RegExp(`^(ø|⌀)?(\\d*\\.?\\d+)(%|${UNIT_PATTERN})?$`, 'i');
+const UNIT = new RegExp(`^(?:${UNIT_PATTERN})$`, 'i');
+
+// Words of a query, split on whitespace and commas; "57x0.1" and "2in x 0.004in" are two sizes
+function queryWords(text) {
+  return String(text)
+    .replace(/(\d[a-zµμ"″”]*)\s*[x×]\s*(?=[\d.])/gi, '$1 ')
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Parse a spec query
+ * materials: Map of normalized alias -> material name (from material_aliases)
+ * units: units that bare numbers and returned sizes are in ('mm' or 'in')
+ * Returns { text, filters, terms: [{ text, filter, value }], ignored }
+ * filters holds the recognised filters; words that set nothing, or set a
+ * filter a second time, are listed in ignored. When nothing is recognised
+ * the whole text is returned as filters.search instead
+ */
+export function parseSpecQuery(text, { materials = new Map(), units = 'mm' } = {}) {
+  const query = String(text ?? '').trim();
+  const words = queryWords(query);
+  const filters = {};
+  const terms = [];
+  const ignored = [];
+
+  const set = (filter, value, source) => {
+    if (filter in filters) {
+      ignored.push(source);
+    } else {
+      filters[filter] = value;
+      terms.push({ text: source, filter, value });
+    }
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+    const next = words[i + 1]?.toLowerCase();
+
+    // Two-word material names first ("stainless steel"), then one word ("au", "au/pd")
+    const pair = next && materials.get(normalizeMaterialAlias(`${word} ${next}`));
+    if (pair) {
+      set('material', pair, `${word} ${words[i + 1]}`);
+      i++;
+      continue;
+    }
+
+    const number = lower.match(NUMBER);
+    if (number) {
+      const [, diameterSign, value, suffix] = number;
+      let source = word;
+      let unit = suffix && suffix !== '%' ? unitKey(suffix) : null;
+      if (!suffix && next && UNIT.test(next)) {
+        unit = unitKey(next);
+        source += ` ${words[++i]}`;
+      }
+
+      // Purity: a percentage, or a bare 9x.x ("99.999")
+      const num = parseFloat(value);
+      if (suffix === '%' || (!unit && !diameterSign && value.includes('.') && num >= 90 && num < 100)) {
+        set('purity', `${value}%`, source);
+        continue;
+      }
+
+      const mm = toMm(value, unit || units);
+      let filter = diameterSign || mm >= THICKNESS_MAX_MM ? 'diameter' : 'thickness';
+      const after = words[i + 1]?.toLowerCase();
+      if (DIAMETER_WORDS.includes(after)) {
+        filter = 'diameter';
+        source += ` ${words[++i]}`;
+      } else if (THICKNESS_WORDS.includes(after)) {
+        filter = 'thickness';
+        source += ` ${words[++i]}`;
+      }
+      set(filter, fromMm(mm, units, `${filter}_mm`), source);
+      continue;
+    }
+
+    if (TYPE_WORDS[lower]) {
+      set('type', TYPE_WORDS[lower], word);
+      continue;
+    }
+
+    const material = materials.get(normalizeMaterialAlias(word));
+    if (material) {
+      set('material', material, word);
+      continue;
+    }
+
+    ignored.push(word);
+  }
+
+  if (terms.length === 0) {
+    return { text: query, filters: query ? { search: query } : {}, terms, ignored: [] };
+  }
+  return { text: query, filters, terms, ignored };
+}
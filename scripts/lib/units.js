@@ -0,0 +1,95 @@
+/**
+ * Length Units for EmTec Targets
+ * Parses vendor units into millimetres and converts API output to mm or inches
+ */
+
+// Millimetres per unit
+export const MM_PER_UNIT = {
+  mm: 1,
+  cm: 10,
+  um: 0.001,
+  mil: 0.0254,
+  in: 25.4
+};
+
+// Unit spellings seen in listings ("57mm", "2 in", '2"', "100 µm", "4 mil")
+export const UNIT_PATTERN = 'mm|cm|µm|μm|um|microns?|mils?|inch(?:es)?|in\\b|"|″|”';
+
+// Dimension columns that are stored in millimetres
+export const DIMENSION_FIELDS = ['diameter_mm', 'outer_diameter_mm', 'inner_diameter_mm', 'thickness_mm', 'max_thickness_mm'];
+
+// Units the API can return
+export const OUTPUT_UNITS = ['mm', 'in'];
+
+/**
+ * Canonical key for a unit spelling, or null if unknown
+ */
+export function unitKey(text) {
+  if (!text) return null;
+  const unit = text.trim().toLowerCase();
+  if (unit === 'mm') return 'mm';
+  if (unit === 'cm') return 'cm';
+  if (['µm', 'μm', 'um', 'micron', 'microns'].includes(unit)) return 'um';
+  if (['mil', 'mils'].includes(unit)) return 'mil';
+  if (['in', 'inch', 'inches', '"', '″', '”'].includes(unit)) return 'in';
+  return null;
+}
+
+/**
+ * Convert a value in the given unit to millimetres (4 decimal places, as stored)
+ */
+export function toMm(value, unit = 'mm') {
+  const factor = MM_PER_UNIT[unitKey(unit) || unit];
+  const num = parseFloat(value);
+  if (!factor || !Number.isFinite(num)) return null;
+  return Math.round(num * factor * 10000) / 10000;
+}
+
+/**
+ * Resolve the `units` query parameter (anything unknown means mm)
+ */
+export function resolveUnits(param) {
+  return OUTPUT_UNITS.includes(param) ? param : 'mm';
+}
+
+/**
+ * Convert a stored millimetre value for output
+ * Inches are rounded to 3 places for diameters and 4 for thicknesses
+ */
+export function fromMm(value, units, field = 'diameter_mm') {
+  if (value === null || value === undefined) return null;
+  if (units !== 'in') return value;
+  const places = field.endsWith('thickness_mm') ? 4 : 3;
+  return +(parseFloat(value) / MM_PER_UNIT.in).toFixed(places);
+}
+
+/**
+ * Convert a filter value from the request's units to millimetres
+ */
+export function filterToMm(value, units) {
+  const num = parseFloat(value);
+  if (!Number.isFinite(num)) return null;
+  return units === 'in' ? num * MM_PER_UNIT.in : num;
+}
+
+/**
+ * Half of the output rounding step, in mm, so an inch value read back
+ * from the API matches the stored millimetre value
+ */
+export function filterTolerance(units, field = 'diameter_mm') {
+  if (units !== 'in') return 0;
+  const places = field.endsWith('thickness_mm') ? 4 : 3;
+  return (0.5 / 10 ** places) * MM_PER_UNIT.in;
+}
+
+/**
+ * Convert every dimension column of a row for output
+ */
+export function convertDimensions(row, units) {
+  if (units !== 'in') return row;
+  const converted = { ...row };
+  for (const field of DIMENSION_FIELDS) {
+    if (field in converted) converted[field] = fromMm(converted[field], units, field);
+  }
+  return converted;
+}
@@ -0,0 +1,97 @@
+/**
+ * Equivalent-Part Matching for EmTec Targets
+ * Regroups interchangeable targets across vendors into equivalence_groups
+ *
+ * Usage:
+ *   npm run match                                          # default tolerances
+ *   npm run match -- --diameter-tolerance 0.3 --thickness-tolerance 0.005
+ *
+ * Tolerances are in mm; defaults come from EQUIVALENCE_DIAMETER_TOLERANCE_MM
+ * and EQUIVALENCE_THICKNESS_TOLERANCE_MM. Ingest runs this automatically.
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { equivalenceTolerance, rebuildEquivalenceGroups } from './lib/equivalence.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const overrides = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--diameter-tolerance') {
+      overrides.diameter_mm = argv[++i];
+    } else if (arg === '--thickness-tolerance') {
+      overrides.thickness_mm = argv[++i];
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(overrides)) {
+    const num = parseFloat(value);
+    if (!Number.isFinite(num) || num < 0) {
+      throw new Error(`Invalid ${field.replace('_mm', '')} tolerance "${value}"`);
+    }
+  }
+
+  return { tolerance: equivalenceTolerance(overrides) };
+}
+
+async function match() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  const { diameter_mm, thickness_mm } = options.tolerance;
+  console.log(`🔗 Matching equivalent targets (±${diameter_mm} mm diameter, ±${thickness_mm} mm thickness)...`);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const groups = await rebuildEquivalenceGroups(client, options.tolerance);
+    await client.query('COMMIT');
+
+    const stats = await client.query(`
+      SELECT COUNT(*) as members,
+        COUNT(DISTINCT g.id) FILTER (WHERE vendors.count > 1) as cross_vendor
+      FROM equivalence_groups g
+      JOIN equivalence_group_members m ON m.group_id = g.id
+      JOIN LATERAL (
+        SELECT COUNT(DISTINCT t.vendor) as count
+        FROM equivalence_group_members gm
+        JOIN targets t ON t.id = gm.target_id
+        WHERE gm.group_id = g.id
+      ) vendors ON true
+    `);
+
+    console.log(`✅ ${groups} groups, ${stats.rows[0].members} targets (${stats.rows[0].cross_vendor} groups span vendors)`);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('❌ Matching failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) client.release();
+    await pool.end();
+  }
+}
+
+match();
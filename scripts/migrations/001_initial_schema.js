@@ -0,0 +1,345 @@
+/**
+ * Migration 001: initial schema
+ * The schema as it stood before versioned migrations. Every statement is
+ * idempotent, so databases created by the old single-file migrate.js are
+ * adopted without changes.
+ */
+
+export const up = `
+-- Sources table: tracks where data came from
+CREATE TABLE IF NOT EXISTS sources (
+  id SERIAL PRIMARY KEY,
+  vendor VARCHAR(100) NOT NULL,
+  source_url TEXT NOT NULL,
+  source_page_title VARCHAR(255),
+  last_fetched_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(vendor, source_url)
+);
+
+-- Target types enum
+DO $$ BEGIN
+  CREATE TYPE target_type AS ENUM ('disc', 'annular', 'other');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- Main targets table
+CREATE TABLE IF NOT EXISTS targets (
+  id SERIAL PRIMARY KEY,
+  
+  -- Source tracking
+  source_id INTEGER REFERENCES sources(id),
+  vendor VARCHAR(100) NOT NULL,  -- sources.vendor of the last source to write the row
+  part_number VARCHAR(50) NOT NULL,
+  
+  -- Target specifications
+  target_type target_type DEFAULT 'disc',
+  material VARCHAR(100) NOT NULL,
+  purity VARCHAR(50),
+  
+  -- Dimensions (in mm)
+  diameter_mm DECIMAL(10,3),
+  outer_diameter_mm DECIMAL(10,3),  -- For annular targets
+  inner_diameter_mm DECIMAL(10,3),  -- For annular targets
+  thickness_mm DECIMAL(10,4),
+  
+  -- Additional info
+  backing_plate VARCHAR(100),
+  alloy_ratio VARCHAR(100),
+  notes TEXT,
+  
+  -- Pricing (optional, may be volatile)
+  price_usd DECIMAL(10,2),
+  price_notes VARCHAR(255),
+  
+  -- Metadata
+  raw_excerpt TEXT,  -- Original text for debugging
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  -- Part numbers are only unique within a vendor; two vendors may share one
+  CONSTRAINT targets_vendor_part_number_key UNIQUE (vendor, part_number)
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_targets_material ON targets(material);
+CREATE INDEX IF NOT EXISTS idx_targets_diameter ON targets(diameter_mm);
+CREATE INDEX IF NOT EXISTS idx_targets_thickness ON targets(thickness_mm);
+CREATE INDEX IF NOT EXISTS idx_targets_type ON targets(target_type);
+CREATE INDEX IF NOT EXISTS idx_targets_source ON targets(source_id);
+
+-- Function to auto-update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_targets_updated_at ON targets;
+CREATE TRIGGER update_targets_updated_at
+  BEFORE UPDATE ON targets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Price state: listed (price_usd set), on_request (vendor shows P.O.R.)
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS price_status VARCHAR(20);
+
+DO $$ BEGIN
+  ALTER TABLE targets ADD CONSTRAINT targets_price_status_check
+    CHECK (price_status IN ('listed', 'on_request'));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- Soft delete: ingest marks targets that drop off their source page
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS discontinued BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS discontinued_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_targets_discontinued ON targets(discontinued);
+
+-- Dimensions as the vendor wrote them (e.g. Ø2" x 0.004"); the *_mm columns hold the converted values
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS dimensions_text VARCHAR(200);
+
+-- Per-vendor part numbers: databases created before this had a global
+-- UNIQUE(part_number) and no vendor column. Backfill the vendor from each
+-- row's source; rows already satisfy the narrower constraint, so every row
+-- is kept. The new constraint goes in before the old one is dropped.
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS vendor VARCHAR(100);
+UPDATE targets t
+SET vendor = COALESCE((SELECT s.vendor FROM sources s WHERE s.id = t.source_id), 'Unknown')
+WHERE t.vendor IS NULL;
+ALTER TABLE targets ALTER COLUMN vendor SET NOT NULL;
+
+DO $$ BEGIN
+  ALTER TABLE targets ADD CONSTRAINT targets_vendor_part_number_key UNIQUE (vendor, part_number);
+EXCEPTION
+  WHEN duplicate_table OR duplicate_object THEN null;
+END $$;
+
+ALTER TABLE targets DROP CONSTRAINT IF EXISTS targets_part_number_key;
+CREATE INDEX IF NOT EXISTS idx_targets_part_number ON targets(part_number);
+
+-- Price history: one row each time ingest sees a target's price change
+CREATE TABLE IF NOT EXISTS target_prices (
+  id SERIAL PRIMARY KEY,
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  source_id INTEGER REFERENCES sources(id),
+  price_usd DECIMAL(10,2),
+  price_status VARCHAR(20) NOT NULL,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_target_prices_target ON target_prices(target_id, recorded_at DESC);
+
+-- Field provenance: who last set each target field, and whether it is locked
+-- Locked fields are left alone by ingest and import (hand-curated values)
+CREATE TABLE IF NOT EXISTS target_field_provenance (
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  field VARCHAR(50) NOT NULL,
+  set_by VARCHAR(100) NOT NULL,        -- ingest, import, review, user:<name>, unknown
+  source_id INTEGER REFERENCES sources(id) ON DELETE SET NULL,
+  set_at TIMESTAMPTZ,
+  locked BOOLEAN NOT NULL DEFAULT FALSE,
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMPTZ,
+  PRIMARY KEY (target_id, field)
+);
+
+CREATE INDEX IF NOT EXISTS idx_field_provenance_locked ON target_field_provenance(target_id) WHERE locked;
+
+-- Alloy composition: one row per element in a target
+CREATE TABLE IF NOT EXISTS target_components (
+  id SERIAL PRIMARY KEY,
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  element_symbol VARCHAR(3) NOT NULL,
+  fraction DECIMAL(5,4) NOT NULL CHECK (fraction > 0 AND fraction <= 1),  -- 0.8 = 80%
+  basis VARCHAR(10) NOT NULL DEFAULT 'weight' CHECK (basis IN ('weight', 'atomic')),
+  position SMALLINT NOT NULL DEFAULT 0,  -- Display order (major element first)
+  UNIQUE(target_id, element_symbol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_target_components_element ON target_components(element_symbol, fraction);
+
+-- Ingest run history: one row per vendor per ingest
+CREATE TABLE IF NOT EXISTS ingest_runs (
+  id SERIAL PRIMARY KEY,
+  vendor VARCHAR(100) NOT NULL,
+  source_url TEXT,
+  source_id INTEGER REFERENCES sources(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'running',  -- running, success, partial, rolled_back, failed
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  html_bytes INTEGER,
+  parsed_count INTEGER,
+  inserted_count INTEGER DEFAULT 0,
+  updated_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  error_messages JSONB DEFAULT '[]'::jsonb
+);
+
+ALTER TABLE ingest_runs ADD COLUMN IF NOT EXISTS quarantined_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_ingest_runs_started ON ingest_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ingest_runs_vendor ON ingest_runs(vendor, started_at DESC);
+
+-- Quarantine: parsed rows with low confidence wait here for review
+CREATE TABLE IF NOT EXISTS targets_quarantine (
+  id SERIAL PRIMARY KEY,
+  source_id INTEGER REFERENCES sources(id),
+  ingest_run_id INTEGER REFERENCES ingest_runs(id) ON DELETE SET NULL,
+  part_number VARCHAR(50) NOT NULL,
+  parsed JSONB NOT NULL,                      -- Normalized row, editable before approval
+  confidence DECIMAL(3,2) NOT NULL,
+  unparsed_fields JSONB DEFAULT '[]'::jsonb,  -- Fields the parser could not fill
+  raw_excerpt TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, approved, rejected
+  target_id INTEGER REFERENCES targets(id) ON DELETE SET NULL,  -- Set on approval
+  review_note TEXT,
+  edited_at TIMESTAMPTZ,                      -- Set when a reviewer fixes fields
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Only one pending entry per source part number; re-runs refresh it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quarantine_pending
+  ON targets_quarantine(source_id, part_number) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_quarantine_status ON targets_quarantine(status, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_targets_quarantine_updated_at ON targets_quarantine;
+CREATE TRIGGER update_targets_quarantine_updated_at
+  BEFORE UPDATE ON targets_quarantine
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Materials lookup table (optional, for filtering UI)
+CREATE TABLE IF NOT EXISTS materials (
+  id SERIAL PRIMARY KEY,
+  symbol VARCHAR(10) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  category VARCHAR(50),
+  color_gradient VARCHAR(100)
+);
+
+-- Seed common materials
+INSERT INTO materials (symbol, name, category, color_gradient) VALUES
+  ('Au', 'Gold', 'precious', 'linear-gradient(135deg, #FFD700, #FFA500)'),
+  ('Ag', 'Silver', 'precious', 'linear-gradient(135deg, #C0C0C0, #A8A8A8)'),
+  ('Pt', 'Platinum', 'precious', 'linear-gradient(135deg, #E5E4E2, #BCC6CC)'),
+  ('Cu', 'Copper', 'base', 'linear-gradient(135deg, #B87333, #DA8A67)'),
+  ('Al', 'Aluminum', 'base', 'linear-gradient(135deg, #A8A9AD, #848789)'),
+  ('Ti', 'Titanium', 'refractory', 'linear-gradient(135deg, #878681, #54534D)'),
+  ('Cr', 'Chromium', 'refractory', 'linear-gradient(135deg, #DBE4EB, #9BA4AA)'),
+  ('Pd', 'Palladium', 'precious', 'linear-gradient(135deg, #CED0DD, #9A9BA3)'),
+  ('Ni', 'Nickel', 'base', 'linear-gradient(135deg, #727472, #8F908F)'),
+  ('W', 'Tungsten', 'refractory', 'linear-gradient(135deg, #4A4A4A, #7A7A7A)'),
+  ('Ta', 'Tantalum', 'refractory', 'linear-gradient(135deg, #4C4C4C, #6D6D6D)'),
+  ('Mo', 'Molybdenum', 'refractory', 'linear-gradient(135deg, #54534D, #878681)'),
+  ('C', 'Carbon', 'other', 'linear-gradient(135deg, #1C1C1C, #3D3D3D)'),
+  ('Si', 'Silicon', 'semiconductor', 'linear-gradient(135deg, #4B5563, #6B7280)'),
+  ('Ir', 'Iridium', 'precious', 'linear-gradient(135deg, #E8E8E8, #D0D0D0)')
+ON CONFLICT (symbol) DO NOTHING;
+
+-- Sputter coaters and the target sizes their heads accept
+CREATE TABLE IF NOT EXISTS coaters (
+  id SERIAL PRIMARY KEY,
+  make VARCHAR(100) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  target_type VARCHAR(20) NOT NULL DEFAULT 'disc' CHECK (target_type IN ('disc', 'annular')),
+  diameter_mm DECIMAL(10,2),            -- Disc heads
+  outer_diameter_mm DECIMAL(10,2),      -- Annular heads
+  inner_diameter_mm DECIMAL(10,2),
+  max_thickness_mm DECIMAL(10,4),       -- NULL = no limit
+  diameter_tolerance_mm DECIMAL(4,2) NOT NULL DEFAULT 0.5,  -- Absorbs inch/mm rounding (2.375" = 60.3 mm)
+  notes TEXT,
+  UNIQUE(make, model),
+  CHECK (
+    (target_type = 'disc' AND diameter_mm IS NOT NULL) OR
+    (target_type = 'annular' AND outer_diameter_mm IS NOT NULL AND inner_diameter_mm IS NOT NULL)
+  )
+);
+
+-- Seed common coaters
+INSERT INTO coaters (make, model, target_type, diameter_mm, outer_diameter_mm, inner_diameter_mm, max_thickness_mm) VALUES
+  ('Cressington', '108auto', 'disc', 57, NULL, NULL, 0.2),
+  ('Cressington', '208HR', 'disc', 57, NULL, NULL, 0.2),
+  ('Quorum', 'Q150R S', 'disc', 57, NULL, NULL, 0.2),
+  ('Emitech', 'K550X', 'disc', 57, NULL, NULL, 0.2),
+  ('Leica', 'EM ACE200', 'disc', 54, NULL, NULL, 0.2),
+  ('Leica', 'EM ACE600', 'disc', 54, NULL, NULL, 0.2),
+  ('Denton', 'Desk V', 'disc', 60, NULL, NULL, 0.2),
+  ('Edwards', 'S150B', 'disc', 62, NULL, NULL, 0.2),
+  ('Hitachi', 'E-1010', 'disc', 50, NULL, NULL, 0.2),
+  ('Polaron', 'SC7640', 'annular', NULL, 60, 20, 0.1),
+  ('Polaron', 'E5100', 'annular', NULL, 57, 18, 0.1)
+ON CONFLICT (make, model) DO NOTHING;
+
+-- Coater to target compatibility, derived from dimensions so new targets map automatically
+-- (a target with unknown thickness is not excluded)
+CREATE OR REPLACE VIEW coater_targets AS
+SELECT c.id as coater_id, t.id as target_id
+FROM coaters c
+JOIN targets t ON t.target_type::text = c.target_type
+WHERE (
+    (c.target_type = 'disc' AND ABS(t.diameter_mm - c.diameter_mm) <= c.diameter_tolerance_mm) OR
+    (c.target_type = 'annular'
+      AND ABS(t.outer_diameter_mm - c.outer_diameter_mm) <= c.diameter_tolerance_mm
+      AND ABS(t.inner_diameter_mm - c.inner_diameter_mm) <= c.diameter_tolerance_mm)
+  )
+  AND (c.max_thickness_mm IS NULL OR t.thickness_mm IS NULL OR t.thickness_mm <= c.max_thickness_mm);
+
+-- Cross-vendor equivalents: interchangeable targets grouped by material, purity,
+-- backing plate and size within a tolerance (rebuilt by npm run match and after ingest)
+CREATE TABLE IF NOT EXISTS equivalence_groups (
+  id SERIAL PRIMARY KEY,
+  match_key VARCHAR(300) NOT NULL,        -- type|material|purity|backing
+  target_type VARCHAR(20),
+  diameter_mm DECIMAL(10,3),              -- Size of the group's anchor target
+  outer_diameter_mm DECIMAL(10,3),
+  inner_diameter_mm DECIMAL(10,3),
+  thickness_mm DECIMAL(10,4),
+  tolerance JSONB NOT NULL,               -- { diameter_mm, thickness_mm } used for matching
+  member_count INTEGER NOT NULL,
+  computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS equivalence_group_members (
+  group_id INTEGER NOT NULL REFERENCES equivalence_groups(id) ON DELETE CASCADE,
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  PRIMARY KEY (group_id, target_id),
+  UNIQUE (target_id)                      -- A target belongs to at most one group
+);
+
+-- View for easy querying with source info (vendor now comes from targets;
+-- dropped first because its column list changed)
+DROP VIEW IF EXISTS targets_with_source;
+CREATE VIEW targets_with_source AS
+SELECT 
+  t.*,
+  s.source_url,
+  s.last_fetched_at as source_last_fetched
+FROM targets t
+LEFT JOIN sources s ON t.source_id = s.id;
+`;
+
+export const down = `
+DROP VIEW IF EXISTS targets_with_source;
+DROP VIEW IF EXISTS coater_targets;
+DROP TABLE IF EXISTS equivalence_group_members;
+DROP TABLE IF EXISTS equivalence_groups;
+DROP TABLE IF EXISTS coaters;
+DROP TABLE IF EXISTS materials;
+DROP TABLE IF EXISTS targets_quarantine;
+DROP TABLE IF EXISTS ingest_runs;
+DROP TABLE IF EXISTS target_components;
+DROP TABLE IF EXISTS target_field_provenance;
+DROP TABLE IF EXISTS target_prices;
+DROP TABLE IF EXISTS targets;
+DROP TABLE IF EXISTS sources;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP TYPE IF EXISTS target_type;
+`;
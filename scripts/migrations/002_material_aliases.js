@@ -0,0 +1,65 @@
+/**
+ * Migration 002: material aliases and targets.material_id
+ * Free-text materials ("Au", "gold", "Gold/Palladium") resolve to a materials
+ * row through material_aliases; targets that resolve get material_id.
+ */
+
+export const up = `
+-- Alloys and compounds sold as a single target material
+INSERT INTO materials (symbol, name, category, color_gradient) VALUES
+  ('Au/Pd', 'Gold/Palladium', 'alloy', 'linear-gradient(135deg, #FFD700, #CED0DD)'),
+  ('Pt/Pd', 'Platinum/Palladium', 'alloy', 'linear-gradient(135deg, #E5E4E2, #9A9BA3)'),
+  ('ITO', 'Indium Tin Oxide', 'oxide', 'linear-gradient(135deg, #9CB8C9, #6F8A99)')
+ON CONFLICT (symbol) DO NOTHING;
+
+-- Lookup keys (lowercase, "/" between alloy parts) for each material
+CREATE TABLE IF NOT EXISTS material_aliases (
+  alias VARCHAR(100) PRIMARY KEY,
+  material_id INTEGER NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_material_aliases_material ON material_aliases(material_id);
+
+-- Every material is known by its name and symbol
+INSERT INTO material_aliases (alias, material_id)
+SELECT LOWER(name), id FROM materials
+UNION
+SELECT LOWER(symbol), id FROM materials
+ON CONFLICT (alias) DO NOTHING;
+
+-- Spellings seen in vendor listings
+INSERT INTO material_aliases (alias, material_id)
+SELECT a.alias, m.id
+FROM (VALUES
+  ('aluminium', 'Al'),
+  ('chrome', 'Cr'),
+  ('graphite', 'C'),
+  ('gold/palladium alloy', 'Au/Pd'),
+  ('palladium/gold', 'Au/Pd'),
+  ('platinum/palladium alloy', 'Pt/Pd'),
+  ('palladium/platinum', 'Pt/Pd'),
+  ('indium tin oxide', 'ITO'),
+  ('in2o3/sno2', 'ITO')
+) AS a(alias, symbol)
+JOIN materials m ON m.symbol = a.symbol
+ON CONFLICT (alias) DO NOTHING;
+
+-- NULL = material not recognised yet (listed by GET /api/materials/unmatched)
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS material_id INTEGER REFERENCES materials(id);
+CREATE INDEX IF NOT EXISTS idx_targets_material_id ON targets(material_id);
+
+-- Link existing targets, keyed as normalizeMaterialAlias() keys them
+-- (lowercase, "/" between alloy parts, single spaces)
+UPDATE targets t SET material_id = a.material_id
+FROM material_aliases a
+WHERE t.material_id IS NULL
+  AND a.alias = BTRIM(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(t.material), '\\s*[/\\-–]\\s*', '/', 'g'), '\\s+', ' ', 'g'));
+`;
+
+export const down = `
+DROP INDEX IF EXISTS idx_targets_material_id;
+ALTER TABLE targets DROP COLUMN IF EXISTS material_id;
+DROP TABLE IF EXISTS material_aliases;
+DELETE FROM materials WHERE symbol IN ('Au/Pd', 'Pt/Pd', 'ITO');
+`;
@@ -0,0 +1,92 @@
+/**
+ * Migration 003: physical properties of materials
+ * Reference data for choosing a coating: atomic number, density, melting point,
+ * sputter yield under argon relative to gold, and grain-size / oxidation notes.
+ *
+ * Sputter yields are for 500 eV Ar+ (Laegreid & Wehner), divided by gold's
+ * (2.4 atoms/ion); alloy values are weighted by composition. Densities are at
+ * room temperature; alloy densities are for the nominal 80/20 composition.
+ */
+
+export const up = `
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS atomic_number SMALLINT;             -- NULL for alloys and compounds
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS density_g_cm3 DECIMAL(6,3);
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS melting_point_c DECIMAL(6,1);
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS sputter_yield_ar DECIMAL(4,2);       -- Relative to Au = 1.00
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS grain_size_notes TEXT;
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS oxidation_notes TEXT;
+
+UPDATE materials m SET
+  atomic_number = p.atomic_number,
+  density_g_cm3 = p.density,
+  melting_point_c = p.melting_point,
+  sputter_yield_ar = p.sputter_yield,
+  grain_size_notes = p.grain_size,
+  oxidation_notes = p.oxidation
+FROM (VALUES
+  ('Au', 79, 19.32, 1064.0, 1.00,
+    'Coarse grain (5-10 nm); visible above about 50,000x',
+    'Does not oxidise; coated samples keep indefinitely'),
+  ('Ag', 47, 10.49, 961.8, 1.30,
+    'Coarse grain, larger than gold',
+    'Tarnishes (sulfides) within days in air; image soon after coating'),
+  ('Pt', 78, 21.45, 1768.0, 0.58,
+    'Fine grain (2-3 nm); good for high-resolution SEM',
+    'Does not oxidise'),
+  ('Cu', 29, 8.96, 1084.6, 0.98,
+    'Medium grain',
+    'Oxidises slowly in air'),
+  ('Al', 13, 2.70, 660.3, 0.44,
+    'Medium grain',
+    'Forms a thin native oxide immediately; coatings insulate more than expected'),
+  ('Ti', 22, 4.51, 1668.0, 0.21,
+    'Fine grain',
+    'Oxidises readily; needs a turbo-pumped coater'),
+  ('Cr', 24, 7.19, 1907.0, 0.49,
+    'Very fine grain (<1 nm); suited to FE-SEM',
+    'Oxidises in air within hours; coat just before imaging. Needs a turbo-pumped coater'),
+  ('Pd', 46, 12.02, 1554.9, 0.87,
+    'Fine grain',
+    'Does not oxidise at room temperature'),
+  ('Ni', 28, 8.91, 1455.0, 0.60,
+    'Fine grain',
+    'Forms a thin passive oxide; ferromagnetic, so it can disturb magnetron sputtering'),
+  ('W', 74, 19.25, 3422.0, 0.24,
+    'Very fine grain (<1 nm); suited to FE-SEM',
+    'Oxidises in air; needs a turbo-pumped coater'),
+  ('Ta', 73, 16.69, 3017.0, 0.24,
+    'Very fine grain',
+    'Passivates with a stable oxide; needs a turbo-pumped coater'),
+  ('Mo', 42, 10.28, 2623.0, 0.33,
+    'Fine grain',
+    'Oxidises slowly in air'),
+  ('C', 6, 2.26, 3642.0, 0.05,
+    'Amorphous; no visible grain',
+    'Stable. Conductive but low contrast; preferred for EDS/WDS analysis'),
+  ('Si', 14, 2.33, 1414.0, 0.21,
+    'Amorphous when sputtered',
+    'Forms a native oxide'),
+  ('Ir', 77, 22.56, 2446.0, 0.42,
+    'Very fine grain (<1 nm); the usual choice for FE-SEM',
+    'Does not oxidise; coated samples keep indefinitely'),
+  ('Au/Pd', NULL, 17.23, 1410.0, 0.97,
+    'Finer grain than pure gold (3-5 nm)',
+    'Does not oxidise'),
+  ('Pt/Pd', NULL, 18.54, 1710.0, 0.64,
+    'Fine grain (2-3 nm)',
+    'Does not oxidise'),
+  ('ITO', NULL, 7.14, NULL, NULL,
+    'Amorphous to nanocrystalline depending on substrate temperature',
+    'Transparent conducting oxide; needs RF or reactive sputtering, not a DC desktop coater')
+) AS p(symbol, atomic_number, density, melting_point, sputter_yield, grain_size, oxidation)
+WHERE m.symbol = p.symbol;
+`;
+
+export const down = `
+ALTER TABLE materials DROP COLUMN IF EXISTS atomic_number;
+ALTER TABLE materials DROP COLUMN IF EXISTS density_g_cm3;
+ALTER TABLE materials DROP COLUMN IF EXISTS melting_point_c;
+ALTER TABLE materials DROP COLUMN IF EXISTS sputter_yield_ar;
+ALTER TABLE materials DROP COLUMN IF EXISTS grain_size_notes;
+ALTER TABLE materials DROP COLUMN IF EXISTS oxidation_notes;
+`;
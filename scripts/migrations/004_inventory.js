@@ -0,0 +1,55 @@
+/**
+ * Migration 004: lab inventory and lots
+ * Tracks targets we own rather than can buy: each lot is a received batch of a
+ * target (vendor lot number, certificate of analysis), and each inventory item
+ * is a quantity of a target, optionally from a lot, kept at a location.
+ */
+
+export const up = `
+CREATE TABLE IF NOT EXISTS lots (
+  id SERIAL PRIMARY KEY,
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  vendor_lot_number VARCHAR(100),
+  received_date DATE,
+  coa_file VARCHAR(500),                   -- Path or URL of the certificate of analysis
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT lots_target_lot_number_key UNIQUE (target_id, vendor_lot_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lots_target ON lots(target_id);
+
+DROP TRIGGER IF EXISTS update_lots_updated_at ON lots;
+CREATE TRIGGER update_lots_updated_at
+  BEFORE UPDATE ON lots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS inventory_items (
+  id SERIAL PRIMARY KEY,
+  target_id INTEGER NOT NULL REFERENCES targets(id) ON DELETE CASCADE,
+  lot_id INTEGER REFERENCES lots(id) ON DELETE RESTRICT,  -- A lot cannot be deleted while stock refers to it
+  location VARCHAR(200) NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  received_date DATE,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_target ON inventory_items(target_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_items_lot ON inventory_items(lot_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_items_location ON inventory_items(location);
+
+DROP TRIGGER IF EXISTS update_inventory_items_updated_at ON inventory_items;
+CREATE TRIGGER update_inventory_items_updated_at
+  BEFORE UPDATE ON inventory_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+`;
+
+export const down = `
+DROP TABLE IF EXISTS inventory_items;
+DROP TABLE IF EXISTS lots;
+`;
@@ -0,0 +1,102 @@
+/**
+ * Migration 005: full-text and fuzzy search over targets
+ * search_vector (tsvector) answers word searches with ranking; search_text
+ * with a pg_trgm index answers misspellings ("platnum") and partial part
+ * numbers. Both cover part number, material, the material's aliases
+ * ("au pd" for Gold/Palladium), alloy ratio, vendor and notes.
+ *
+ * Aliases live in material_aliases, which a generated column cannot read, so
+ * triggers copy them into targets.search_aliases.
+ */
+
+export const up = `
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Every alias of the target's material, "/" written as a space
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS search_aliases TEXT;
+
+CREATE OR REPLACE FUNCTION material_search_aliases(p_material_id INTEGER)
+RETURNS TEXT AS $$
+  SELECT string_agg(translate(alias, '/', ' '), ' ' ORDER BY alias)
+  FROM material_aliases
+  WHERE material_id = p_material_id
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION set_target_search_aliases()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_aliases = material_search_aliases(NEW.material_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_targets_search_aliases ON targets;
+CREATE TRIGGER set_targets_search_aliases
+  BEFORE INSERT OR UPDATE OF material_id ON targets
+  FOR EACH ROW
+  EXECUTE FUNCTION set_target_search_aliases();
+
+-- A new or removed alias changes the search text of every target of that material
+CREATE OR REPLACE FUNCTION refresh_target_search_aliases()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE targets SET search_aliases = material_search_aliases(material_id)
+    WHERE material_id = OLD.material_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE targets SET search_aliases = material_search_aliases(material_id)
+    WHERE material_id = NEW.material_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS refresh_material_aliases_search ON material_aliases;
+CREATE TRIGGER refresh_material_aliases_search
+  AFTER INSERT OR UPDATE OR DELETE ON material_aliases
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_target_search_aliases();
+
+-- Backfill without touching updated_at (nothing the catalog shows has changed)
+ALTER TABLE targets DISABLE TRIGGER update_targets_updated_at;
+UPDATE targets SET search_aliases = material_search_aliases(material_id) WHERE material_id IS NOT NULL;
+ALTER TABLE targets ENABLE TRIGGER update_targets_updated_at;
+
+-- Part number and material names rank above alloy ratio, vendor and notes
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', coalesce(part_number, '')), 'A') ||
+  setweight(to_tsvector('simple', translate(coalesce(material, '') || ' ' || coalesce(search_aliases, ''), '/-', '  ')), 'A') ||
+  setweight(to_tsvector('simple', translate(coalesce(alloy_ratio, ''), '/:', '  ')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(vendor, '')), 'C') ||
+  setweight(to_tsvector('simple', coalesce(notes, '')), 'D')
+) STORED;
+
+ALTER TABLE targets ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+  lower(
+    coalesce(part_number, '') || ' ' ||
+    coalesce(material, '') || ' ' ||
+    coalesce(search_aliases, '') || ' ' ||
+    coalesce(alloy_ratio, '') || ' ' ||
+    coalesce(vendor, '') || ' ' ||
+    coalesce(notes, '')
+  )
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_targets_search_vector ON targets USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_targets_search_trgm ON targets USING GIN (search_text gin_trgm_ops);
+`;
+
+export const down = `
+DROP INDEX IF EXISTS idx_targets_search_trgm;
+DROP INDEX IF EXISTS idx_targets_search_vector;
+ALTER TABLE targets DROP COLUMN IF EXISTS search_text;
+ALTER TABLE targets DROP COLUMN IF EXISTS search_vector;
+DROP TRIGGER IF EXISTS refresh_material_aliases_search ON material_aliases;
+DROP TRIGGER IF EXISTS set_targets_search_aliases ON targets;
+DROP FUNCTION IF EXISTS refresh_target_search_aliases();
+DROP FUNCTION IF EXISTS set_target_search_aliases();
+DROP FUNCTION IF EXISTS material_search_aliases(INTEGER);
+ALTER TABLE targets DROP COLUMN IF EXISTS search_aliases;
+DROP EXTENSION IF EXISTS pg_trgm;
+`;
@@ -5,6 +5,9 @@
 
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { replaceComponents } from './lib/catalog-db.js';
+import { parseComposition } from './lib/composition.js';
+import { withMaterialIds } from './lib/materials.js';
 
 dotenv.config();
 
@@ -80,16 +83,17 @@ async function seed() {
     const sourceId = sourceResult.rows[0].id;
     console.log(`📝 Source ID: ${sourceId}`);
     
-    // Insert targets
+    // Insert targets, linked to the materials table through its aliases
     let inserted = 0;
-    for (const target of sampleTargets) {
-      await client.query(`
+    for (const target of await withMaterialIds(client, sampleTargets)) {
+      const result = await client.query(`
         INSERT INTO targets (
-          source_id, part_number, target_type, material, purity,
+          source_id, vendor, part_number, target_type, material, material_id, purity,
           diameter_mm, outer_diameter_mm, inner_diameter_mm, thickness_mm, alloy_ratio
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        ON CONFLICT (part_number) DO UPDATE SET
+        ) VALUES ($1, (SELECT vendor FROM sources WHERE id = $1), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (vendor, part_number) DO UPDATE SET
           material = EXCLUDED.material,
+          material_id = EXCLUDED.material_id,
           purity = EXCLUDED.purity,
           diameter_mm = EXCLUDED.diameter_mm,
           outer_diameter_mm = EXCLUDED.outer_diameter_mm,
@@ -97,11 +101,13 @@ async function seed() {
           thickness_mm = EXCLUDED.thickness_mm,
           alloy_ratio = EXCLUDED.alloy_ratio,
           updated_at = NOW()
+        RETURNING id
       `, [
         sourceId,
         target.part_number,
         target.target_type,
         target.material,
+        target.material_id,
         target.purity,
         target.diameter_mm || null,
         target.outer_diameter_mm || null,
@@ -109,6 +115,7 @@ async function seed() {
         target.thickness_mm || null,
         target.alloy_ratio || null
       ]);
+      await replaceComponents(client, result.rows[0].id, parseComposition(target));
       inserted++;
     }
     
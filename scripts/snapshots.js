@@ -0,0 +1,134 @@
+/**
+ * Snapshot Archive CLI for EmTec Targets
+ * Lists archived source pages and diffs the products parsed from two of them
+ *
+ * Usage:
+ *   npm run snapshots -- list [--name source-page]
+ *   npm run snapshots -- diff <older> <newer> [--vendor ted-pella] [--json]
+ *
+ * Snapshots are referenced by id (or a unique id prefix) or by the path to their .json file.
+ * No database is needed.
+ */
+
+import dotenv from 'dotenv';
+import { getVendor, getVendorBySourceUrl } from './vendors/index.js';
+import { PLAN_FIELDS } from './lib/plan.js';
+import { listSnapshots, loadSnapshot, snapshotDir, diffSnapshots } from './lib/snapshots.js';
+
+dotenv.config();
+
+/**
+ * Parse command line options
+ */
+function parseArgs(argv) {
+  const options = { command: argv[0], refs: [], name: null, vendor: null, json: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name') {
+      options.name = argv[++i];
+    } else if (arg === '--vendor') {
+      options.vendor = argv[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else {
+      options.refs.push(arg);
+    }
+  }
+
+  if (!['list', 'diff'].includes(options.command)) {
+    throw new Error('Usage: npm run snapshots -- list | diff <older> <newer>');
+  }
+  if (options.command === 'diff' && options.refs.length !== 2) {
+    throw new Error('diff needs two snapshots: diff <older> <newer>');
+  }
+
+  return options;
+}
+
+/**
+ * Print every snapshot, marking where the page content changed
+ */
+function list(options) {
+  const snapshots = listSnapshots(options.name);
+  if (snapshots.length === 0) {
+    console.log(`No snapshots in ${snapshotDir()}`);
+    return;
+  }
+
+  const lastHash = new Map();
+  for (const s of snapshots) {
+    const previous = lastHash.get(s.name);
+    const marker = previous === undefined ? 'first' : (previous === s.sha256 ? 'same' : 'CHANGED');
+    lastHash.set(s.name, s.sha256);
+    console.log(`${s.id}  ${s.name.padEnd(14)} ${String(s.bytes).padStart(9)} B  ${marker}`);
+  }
+}
+
+/**
+ * Parse a snapshot with its vendor's adapter
+ */
+function parseSnapshot(ref, vendorName) {
+  const { meta, html } = loadSnapshot(ref);
+  const adapter = vendorName ? getVendor(vendorName) : getVendorBySourceUrl(meta.url);
+  if (!adapter) {
+    throw new Error(`No vendor adapter for snapshot ${meta.id} (${meta.url}); pass --vendor`);
+  }
+
+  const targets = adapter.parse(html).map(row => adapter.normalize(row)).filter(t => t.part_number);
+  return { meta, targets };
+}
+
+function diff(options) {
+  const [a, b] = options.refs.map(ref => parseSnapshot(ref, options.vendor));
+  const result = diffSnapshots(a.targets, b.targets);
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify({ older: a.meta, newer: b.meta, ...result }, null, 2) + '\n');
+    return;
+  }
+
+  console.log(`🗄️  ${a.meta.id} → ${b.meta.id}`);
+  if (a.meta.sha256 === b.meta.sha256) {
+    console.log('   Page content is identical');
+  }
+  console.log(`   📥 Added: ${result.summary.added}`);
+  console.log(`   🗑️  Removed: ${result.summary.removed}`);
+  console.log(`   🔄 Changed: ${result.summary.changed}`);
+  console.log(`   ✔️  Unchanged: ${result.summary.unchanged}`);
+
+  result.added.forEach(p => console.log(`   + ${p}`));
+  result.removed.forEach(p => console.log(`   - ${p}`));
+  for (const c of result.changed) {
+    console.log(`   ~ ${c.part_number}`);
+    for (const field of PLAN_FIELDS) {
+      if (!c.changes[field]) continue;
+      const { from, to } = c.changes[field];
+      console.log(`       ${field}: ${from ?? '∅'} → ${to ?? '∅'}`);
+    }
+  }
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    
+    // Keep stdout clean for JSON; parser progress goes to stderr
+    if (options.json) {
+      console.log = (...args) => console.error(...args);
+    }
+    
+    if (options.command === 'list') {
+      list(options);
+    } else {
+      diff(options);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
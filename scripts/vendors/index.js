@@ -0,0 +1,76 @@
+/**
+ * Vendor Adapter Registry for EmTec Targets ingestion
+ *
+ * Each supplier is described by an adapter object:
+ *   - id:         short CLI name (used with --vendor)
+ *   - vendor:     display name, stored in sources.vendor
+ *   - sourceUrl:  catalog page, stored in sources.source_url
+ *   - pageTitle:  stored in sources.source_page_title
+ *   - fetch():    resolves to the raw source document (HTML, JSON, ...)
+ *   - parse(doc): returns an array of parsed target rows
+ *   - normalize(row): returns a row in the targets schema (see normalize.js)
+ *
+ * To add a supplier, create a module in this directory and register it below.
+ */
+
+import tedPella from './ted-pella.js';
+
+const adapters = new Map();
+
+/**
+ * Register a vendor adapter
+ */
+export function registerVendor(adapter) {
+  const required = ['id', 'vendor', 'sourceUrl'];
+  for (const key of required) {
+    if (!adapter?.[key]) {
+      throw new Error(`Vendor adapter is missing "${key}"`);
+    }
+  }
+  
+  for (const method of ['fetch', 'parse', 'normalize']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Vendor adapter "${adapter.id}" must implement ${method}()`);
+    }
+  }
+  
+  if (adapters.has(adapter.id)) {
+    throw new Error(`Vendor adapter "${adapter.id}" is already registered`);
+  }
+  
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * Look up an adapter by id or vendor name (case-insensitive)
+ */
+export function getVendor(name) {
+  const key = String(name).toLowerCase();
+  for (const adapter of adapters.values()) {
+    if (adapter.id === key || adapter.vendor.toLowerCase() === key) {
+      return adapter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up the adapter whose catalog page is at the given URL
+ */
+export function getVendorBySourceUrl(url) {
+  for (const adapter of adapters.values()) {
+    if (adapter.sourceUrl === url) return adapter;
+  }
+  return null;
+}
+
+/**
+ * List all registered adapters
+ */
+export function listVendors() {
+  return [...adapters.values()];
+}
+
+// Built-in adapters
+registerVendor(tedPella);
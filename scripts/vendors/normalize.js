@@ -0,0 +1,52 @@
+/**
+ * Shared normalization for vendor adapters
+ * Coerces a parsed row into the shape upsertTarget() expects
+ */
+
+const TARGET_TYPES = ['disc', 'annular', 'other'];
+const PRICE_STATUSES = ['listed', 'on_request'];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+function toText(value, maxLength) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return maxLength ? text.substring(0, maxLength) : text;
+}
+
+/**
+ * Normalize a parsed target row
+ * Adapters can call this from their own normalize() and then adjust fields
+ */
+export function normalizeTarget(target) {
+  const targetType = TARGET_TYPES.includes(target.target_type) ? target.target_type : 'disc';
+  const priceUsd = toNumber(target.price_usd);
+  
+  // A numeric price always means listed; otherwise trust the adapter's status
+  let priceStatus = PRICE_STATUSES.includes(target.price_status) ? target.price_status : null;
+  if (priceUsd !== null) priceStatus = 'listed';
+  if (priceStatus === 'listed' && priceUsd === null) priceStatus = null;
+  
+  return {
+    part_number: toText(target.part_number, 50),
+    target_type: targetType,
+    material: toText(target.material, 100),
+    purity: toText(target.purity, 50),
+    diameter_mm: toNumber(target.diameter_mm),
+    outer_diameter_mm: toNumber(target.outer_diameter_mm),
+    inner_diameter_mm: toNumber(target.inner_diameter_mm),
+    thickness_mm: toNumber(target.thickness_mm),
+    backing_plate: toText(target.backing_plate, 100),
+    alloy_ratio: toText(target.alloy_ratio, 100),
+    dimensions_text: toText(target.dimensions_text, 200),
+    notes: toText(target.notes),
+    price_usd: priceStatus === 'listed' ? priceUsd : null,
+    price_status: priceStatus,
+    raw_excerpt: toText(target.raw_excerpt, 500)
+  };
+}
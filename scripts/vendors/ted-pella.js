@@ -0,0 +1,240 @@
+/**
+ * Ted Pella vendor adapter
+ * Parses the Cressington sputter targets page on tedpella.com
+ */
+
+import * as cheerio from 'cheerio';
+import { fetchSourceHTML } from '../lib/fetch-source.js';
+import { normalizeTarget } from './normalize.js';
+import { UNIT_PATTERN, toMm } from '../lib/units.js';
+
+const DEFAULT_SOURCE_URL = 'https://www.tedpella.com/cressington_html/Cressington-Targets.aspx';
+
+// A number followed by a length unit: "57mm", "2 in", '0.004"', "100 µm", "4 mil"
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const LENGTH = `${NUMBER}\\s*(${UNIT_PATTERN})`;
+
+const DIAMETER_PATTERN = new RegExp(`(?:[Ø⌀]\\s*|O)${NUMBER}\\s*(${UNIT_PATTERN})?`, 'i');
+const DIAMETER_WORD_PATTERN = new RegExp(`${LENGTH}\\s*(?:dia\\.?|diameter)\\b`, 'i');
+const THICKNESS_PATTERN = new RegExp(`x\\s*${LENGTH}(?!\\s*[OI]\\.?\\s*D)`, 'gi');
+const THICKNESS_WORD_PATTERN = new RegExp(`${LENGTH}\\s*thick`, 'i');
+const OUTER_DIAMETER_PATTERN = new RegExp(`${LENGTH}\\s*O\\.?\\s*D\\.?`, 'i');
+const INNER_DIAMETER_PATTERN = new RegExp(`${LENGTH}\\s*I\\.?\\s*D\\.?`, 'i');
+
+/**
+ * Parse product description to extract details
+ * Format: "Gold Target, 99.99% Au (Ø57mm x 0.1mm)"
+ * Dimensions may be in mm, cm, µm, mil or inches; they are stored in mm
+ * and the matched text is kept in dimensions_text
+ */
+export function parseDescription(desc) {
+  const result = {
+    material: null,
+    purity: null,
+    diameter_mm: null,
+    thickness_mm: null,
+    outer_diameter_mm: null,
+    inner_diameter_mm: null,
+    target_type: 'disc',
+    alloy_ratio: null,
+    backing_plate: null,
+    dimensions_text: null,
+    notes: null
+  };
+  
+  if (!desc) return result;
+  
+  // Extract material (before "Target")
+  const materialMatch = desc.match(/^(.+?)\s*Target/i);
+  if (materialMatch) {
+    result.material = materialMatch[1].trim();
+  }
+  
+  // Extract purity (e.g., "99.99% Au" or "99.99% Au:Pd 60/40 ratio")
+  const purityMatch = desc.match(/(\d+\.?\d*%)\s*(\w+)/);
+  if (purityMatch) {
+    result.purity = purityMatch[1];
+  }
+  
+  // Check for alloy ratio
+  const alloyMatch = desc.match(/(\d+)[:/](\d+)\s*ratio/i);
+  if (alloyMatch) {
+    result.alloy_ratio = `${alloyMatch[1]}/${alloyMatch[2]}`;
+  }
+  
+  const dimensionText = [];
+  
+  // Extract diameter (Ø62mm, Ø2", or 2 in dia.); a bare number is mm
+  const diameterMatch = desc.match(DIAMETER_PATTERN) || desc.match(DIAMETER_WORD_PATTERN);
+  if (diameterMatch) {
+    result.diameter_mm = toMm(diameterMatch[1], diameterMatch[2] || 'mm');
+    dimensionText.push(diameterMatch[0].trim());
+  }
+  
+  // Check for annular targets (OD/ID)
+  const annularODMatch = desc.match(OUTER_DIAMETER_PATTERN);
+  const annularIDMatch = desc.match(INNER_DIAMETER_PATTERN);
+  if (annularODMatch && annularIDMatch) {
+    result.target_type = 'annular';
+    result.outer_diameter_mm = toMm(annularODMatch[1], annularODMatch[2]);
+    result.inner_diameter_mm = toMm(annularIDMatch[1], annularIDMatch[2]);
+    result.diameter_mm = null; // Use OD/ID instead
+    dimensionText.length = 0;
+    dimensionText.push(annularODMatch[0].trim(), annularIDMatch[0].trim());
+  }
+  
+  // Extract thickness (x 0.1mm, x 0.004", 0.1 mm thick), skipping "x 20mm I.D."
+  const thicknessMatch = [...desc.matchAll(THICKNESS_PATTERN)][0] || desc.match(THICKNESS_WORD_PATTERN);
+  if (thicknessMatch) {
+    result.thickness_mm = toMm(thicknessMatch[1], thicknessMatch[2]);
+    dimensionText.push(thicknessMatch[0].replace(/^x\s*/i, '').trim());
+  }
+  
+  if (dimensionText.length > 0) {
+    result.dimensions_text = dimensionText.join(' x ');
+  }
+  
+  // Check for backing plate
+  if (desc.toLowerCase().includes('backing plate') || desc.toLowerCase().includes('copper backing')) {
+    result.backing_plate = 'Copper';
+  }
+  
+  // Notes for special items
+  if (desc.includes('NEW')) {
+    result.notes = 'New product';
+  }
+  if (desc.includes('ITO') || desc.includes('Indium Tin Oxide')) {
+    result.notes = (result.notes ? result.notes + '; ' : '') + 'Indium Tin Oxide compound';
+  }
+  
+  return result;
+}
+
+/**
+ * Parse price string
+ */
+export function parsePrice(priceStr) {
+  if (!priceStr) return null;
+  if (priceStr.includes('P.O.R.')) return null; // Price on Request
+  
+  const match = priceStr.replace(/[$,]/g, '').match(/(\d+\.?\d*)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Classify a price string: 'listed', 'on_request' (P.O.R.) or null if absent
+ */
+export function parsePriceStatus(priceStr) {
+  if (!priceStr) return null;
+  if (priceStr.includes('P.O.R.')) return 'on_request';
+  return parsePrice(priceStr) !== null ? 'listed' : null;
+}
+
+/**
+ * Parse the Ted Pella HTML for target data
+ */
+export function parseTargetsFromHTML(html) {
+  const $ = cheerio.load(html);
+  const allTargets = [];
+  
+  console.log('📝 Parsing HTML for target data...');
+  
+  // Find all product rows
+  // The pattern is: Prod # | Description | Unit | Price
+  // Each row with a numeric product number
+  
+  // Look for text patterns in the page content
+  const pageText = $('body').text();
+  
+  // Parse product entries using regex on the text content
+  // Pattern: 5-digit number followed by description with dimensions
+  const productPattern = /\b(\d{4,5}(?:-\w)?)\s+(?:NEW\s+)?(.+?Target.*?(?:Ø\s*[\d.]+.*?(?:mm|µm|um|mils?|in|"|″)|O\.D\..*?I\.D\.).*?)\s+each\s+\$?([\d,]+\.?\d*|P\.O\.R\.)/gi;
+  
+  let match;
+  while ((match = productPattern.exec(pageText)) !== null) {
+    const partNumber = match[1];
+    const description = match[2].trim();
+    const price = match[3];
+    
+    const parsed = parseDescription(description);
+    
+    // Rows missing fields are kept; ingest scores them and quarantines weak ones
+    allTargets.push({
+      part_number: partNumber,
+      ...parsed,
+      price_usd: parsePrice(price),
+      price_status: parsePriceStatus(price),
+      raw_excerpt: description.substring(0, 500)
+    });
+  }
+  
+  // Also parse using DOM structure for better accuracy
+  $('table tr, .product-row, [class*="product"]').each((i, row) => {
+    const text = $(row).text();
+    
+    // Look for product number pattern
+    const prodMatch = text.match(/^\s*(\d{4,5}(?:-\w)?)\s+/);
+    if (!prodMatch) return;
+    
+    const partNumber = prodMatch[1];
+    
+    // Skip if already found
+    if (allTargets.find(t => t.part_number === partNumber)) return;
+    
+    // Extract description (contains Target and dimensions)
+    const descMatch = text.match(/(\w+(?:\/\w+)?\s+Target[^$]+?)(?:each|\$|P\.O\.R)/i);
+    if (!descMatch) return;
+    
+    const description = descMatch[1].trim();
+    const parsed = parseDescription(description);
+    
+    // Extract price
+    const priceMatch = text.match(/\$\s*([\d,]+\.?\d*)|P\.O\.R\./);
+    const price = priceMatch ? priceMatch[0] : null;
+    
+    allTargets.push({
+      part_number: partNumber,
+      ...parsed,
+      price_usd: parsePrice(price),
+      price_status: parsePriceStatus(price),
+      raw_excerpt: description.substring(0, 500)
+    });
+  });
+  
+  // Deduplicate by part number
+  const seen = new Set();
+  const unique = allTargets.filter(t => {
+    if (seen.has(t.part_number)) return false;
+    seen.add(t.part_number);
+    return true;
+  });
+  
+  return unique;
+}
+
+/**
+ * Adapter definition (see vendors/index.js for the interface)
+ */
+const tedPella = {
+  id: 'ted-pella',
+  vendor: 'Ted Pella',
+  // Read on use: imports run before the entry script loads .env
+  get sourceUrl() {
+    return process.env.TED_PELLA_SOURCE_URL || DEFAULT_SOURCE_URL;
+  },
+  pageTitle: 'Disk or Annular Sputter Targets',
+  
+  fetch() {
+    return fetchSourceHTML(this.sourceUrl, 'source-page');
+  },
+  
+  parse(html) {
+    return parseTargetsFromHTML(html);
+  },
+  
+  normalize(target) {
+    return normalizeTarget(target);
+  }
+};
+
+export default tedPella;
@@ -0,0 +1,232 @@
+/**
+ * Parity tests for the Express and Netlify adapters
+ * The same requests go through the Express router and, via the netlify.toml
+ * redirects, through the Netlify functions; both must send the same queries
+ * and return the same status and body.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import express from 'express';
+import { ROUTES } from '../scripts/lib/api/index.js';
+import { apiRouter, flatQuery } from '../scripts/lib/api/express.js';
+import { netlifyHandler } from '../scripts/lib/api/netlify.js';
+
+const ROOT = new URL('../', import.meta.url);
+
+const ROW = {
+  id: 1,
+  part_number: 'EMS-91017',
+  vendor: 'Ted Pella',
+  material: 'Gold',
+  material_id: 1,
+  target_type: 'disc',
+  purity: '99.99%',
+  diameter_mm: '57.00',
+  outer_diameter_mm: null,
+  inner_diameter_mm: null,
+  thickness_mm: '0.10',
+  components: [{ symbol: 'Au', fraction: 1, basis: 'weight' }],
+  in_stock: 2,
+  price_usd: '310.00',
+  price_status: 'listed',
+  group_id: 4,
+  match_key: 'disc|au|99.99|none',
+  symbol: 'Au',
+  count: '3'
+};
+
+// Answers by the shape of the SQL; ids 999 and "unobtainium" are missing,
+// and any "explode" parameter fails like a dropped connection
+function stubDb() {
+  return {
+    log: [],
+    async query(sql, params = []) {
+      this.log.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      const values = params.map(String);
+      if (values.some(v => v.includes('explode'))) throw new Error('Connection terminated unexpectedly');
+      if (values.some(v => v === '999' || v === 'unobtainium')) return { rows: [] };
+      if (/COUNT\(\*\)(::int)? as total/.test(sql)) return { rows: [{ total: '1' }] };
+      if (/ as value, COUNT/.test(sql)) return { rows: [{ value: '57.00', count: 3 }, { value: '50.80', count: 1 }] };
+      if (/FROM material_aliases a JOIN materials/.test(sql)) return { rows: [{ alias: 'au', name: 'Gold' }] };
+      if (/DISTINCT diameter_mm/.test(sql)) return { rows: [{ diameter_mm: '57.00' }, { diameter_mm: '50.80' }] };
+      if (/DISTINCT thickness_mm/.test(sql)) return { rows: [{ thickness_mm: '0.10' }] };
+      if (/FROM target_field_provenance/.test(sql)) {
+        return { rows: [{ field: 'thickness_mm', set_by: 'user:alice', locked: true }] };
+      }
+      return { rows: [structuredClone(ROW)] };
+    }
+  };
+}
+
+const REQUESTS = [
+  '/api/health',
+  '/api/targets',
+  '/api/targets?material=Au&diameter=2&units=in&type=disc&sort=thickness_mm&order=desc&limit=10&offset=20',
+  '/api/targets?thickness_min=0.05&thickness_max=0.2&contains=Pd&min_fraction=0.2&coater=3&vendor=Ted%20Pella',
+  '/api/targets?search=gold&search=pella&include_discontinued=true',
+  '/api/targets?search=explode',
+  '/api/targets?diameter=abc',
+  '/api/targets?coater=abc',
+  '/api/targets?contains=Pd&min_fraction=abc',
+  '/api/targets?q=au%2057mm%200.1%20annular%2099.999%20bonded',
+  '/api/targets?q=platnum&sort=diameter_mm',
+  '/api/targets/1',
+  '/api/targets/1?units=in',
+  '/api/targets/999',
+  '/api/targets/abc',
+  '/api/targets/99999999999/prices',
+  '/api/targets/1/prices',
+  '/api/targets/999/prices',
+  '/api/targets/1/equivalents?include_same_vendor=true&units=in',
+  '/api/targets/999/equivalents',
+  '/api/facets',
+  '/api/facets?material=Gold&diameter=2.244&units=in&purity=99.99%25&backing_plate=Copper',
+  '/api/facets?q=au%2060mm&units=in',
+  '/api/materials',
+  '/api/materials/unmatched',
+  '/api/materials/Au%2FPd',
+  '/api/materials/Au/Pd',
+  '/api/materials/unobtainium',
+  '/api/diameters?units=in',
+  '/api/thicknesses',
+  '/api/coaters?units=in',
+  '/api/stats',
+  '/api/ingest-runs?vendor=Ted%20Pella&status=success&limit=500'
+];
+
+// [{ from, to }] in file order; Netlify uses the first redirect that matches
+function netlifyRedirects() {
+  const toml = readFileSync(new URL('netlify.toml', ROOT), 'utf8');
+  return [...toml.matchAll(/from = "([^"]+)"\s+to = "([^"]+)"/g)].map(([, from, to]) => ({ from, to }));
+}
+
+// The function a request is redirected to, and the event Netlify passes it;
+// :name matches one path segment and a trailing * (:splat) the rest of the path
+function netlifyRequest(redirects, url) {
+  const [pathname, search = ''] = url.split('?');
+  for (const { from, to } of redirects) {
+    const names = [];
+    const pattern = from.replace(/:(\w+)|\*$/g, (_, name) => {
+      names.push(name ?? 'splat');
+      return name ? '([^/]+)' : '(.+)';
+    });
+    const match = pathname.match(new RegExp(`^${pattern}$`));
+    if (!match) continue;
+
+    const target = new URL(to.replace(/:(\w+)/g, (_, name) => match[names.indexOf(name) + 1]), 'http://netlify');
+    return {
+      name: target.pathname.split('/').pop(),
+      event: {
+        httpMethod: 'GET',
+        path: pathname,
+        queryStringParameters: { ...flatQuery(`?${search}`), ...Object.fromEntries(target.searchParams) },
+        body: null
+      }
+    };
+  }
+  return null;
+}
+
+async function loadFunction(name) {
+  return import(new URL(`netlify/functions/${name}.js`, ROOT));
+}
+
+describe('API adapters', () => {
+  const db = stubDb();
+  const redirects = netlifyRedirects();
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(apiRouter(db));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  for (const url of REQUESTS) {
+    it(`GET ${url} matches`, async (t) => {
+      t.mock.method(console, 'error', () => {});
+
+      db.log = [];
+      const expressResponse = await fetch(baseUrl + url);
+      const expressBody = await expressResponse.json();
+      const expressQueries = db.log;
+
+      const request = netlifyRequest(redirects, url);
+      assert.ok(request, `no netlify.toml redirect for ${url}`);
+      const { handler } = await loadFunction(request.name);
+      db.log = [];
+      const netlifyResponse = await netlifyHandler(handler.route, { getDb: () => db })(request.event);
+
+      assert.equal(netlifyResponse.statusCode, expressResponse.status);
+      assert.deepEqual(JSON.parse(netlifyResponse.body), expressBody);
+      assert.deepEqual(db.log, expressQueries);
+    });
+  }
+
+  it('deploys every route that names a Netlify function, and nothing else', async () => {
+    const deployed = ROUTES.filter(route => route.netlify);
+    for (const route of deployed) {
+      const { handler } = await loadFunction(route.netlify);
+      assert.equal(handler.route, route, `${route.netlify}.js serves another route`);
+
+      const samplePath = route.path.replace(/:(\w+)(\([^)]*\))?/g, '1');
+      assert.equal(netlifyRequest(redirects, samplePath)?.name, route.netlify, `${samplePath} is not redirected to ${route.netlify}`);
+    }
+
+    const functions = readdirSync(new URL('netlify/functions/', ROOT))
+      .map(file => file.replace(/\.js$/, ''))
+      .filter(name => name !== 'scheduled-ingest');
+    assert.deepEqual(functions.sort(), deployed.map(route => route.netlify).sort());
+  });
+
+  it('answers 400 without querying for an id that is not a positive integer', async () => {
+    db.log = [];
+    for (const path of ['/api/targets/abc', '/api/targets/0/equivalents', '/api/lots/1.5', '/api/inventory/-2', '/api/quarantine/x']) {
+      const response = await fetch(baseUrl + path);
+      assert.equal(response.status, 400, path);
+      assert.deepEqual(await response.json(), { error: 'id must be a positive integer' });
+    }
+    assert.deepEqual(db.log, []);
+  });
+
+  it('answers 400 without querying for a quarantine status or page it cannot list', async () => {
+    db.log = [];
+    const cases = {
+      '/api/quarantine?status=pendng': 'status must be one of pending, approved, rejected, all',
+      '/api/quarantine?limit=abc': 'limit must be a positive integer',
+      '/api/quarantine?limit=0': 'limit must be a positive integer',
+      '/api/quarantine?offset=-1': 'offset must be a whole number'
+    };
+    for (const [path, error] of Object.entries(cases)) {
+      const response = await fetch(baseUrl + path);
+      assert.equal(response.status, 400, path);
+      assert.deepEqual(await response.json(), { error });
+    }
+    assert.deepEqual(db.log, []);
+
+    assert.equal((await fetch(`${baseUrl}/api/quarantine?status=all&limit=10&offset=0`)).status, 200);
+  });
+
+  it('answers 400 without querying for a target_id filter that is not an id', async () => {
+    db.log = [];
+    for (const path of ['/api/lots?target_id=abc', '/api/inventory?target_id=1.5']) {
+      const response = await fetch(baseUrl + path);
+      assert.equal(response.status, 400, path);
+      assert.deepEqual(await response.json(), { error: 'target_id must be a positive integer' });
+    }
+    assert.deepEqual(db.log, []);
+  });
+
+  it('answers 405 on Netlify for other methods', async () => {
+    const { handler } = await loadFunction('targets');
+    const response = await netlifyHandler(handler.route, { getDb: () => db })({ httpMethod: 'POST', queryStringParameters: {} });
+    assert.equal(response.statusCode, 405);
+  });
+});
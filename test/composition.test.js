@@ -0,0 +1,71 @@
+/**
+ * Tests for alloy composition parsing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseComposition, formatComposition, elementSymbol } from '../scripts/lib/composition.js';
+import { targetFilters } from '../scripts/lib/api/index.js';
+
+describe('parseComposition', () => {
+  it('reads explicit percentages from alloy_ratio', () => {
+    const components = parseComposition({ material: 'Gold/Palladium', alloy_ratio: '80% Au / 20% Pd' });
+    assert.equal(formatComposition(components), '80% Au / 20% Pd');
+    assert.equal(components[0].basis, 'weight');
+  });
+  
+  it('matches a bare ratio to the element pair in the description', () => {
+    const components = parseComposition({
+      material: 'Gold/Palladium',
+      alloy_ratio: '60/40',
+      raw_excerpt: 'Gold/Palladium Target, 99.99% Au:Pd 60/40 ratio (Ø57mm x 0.1mm)'
+    });
+    assert.deepEqual(components.map(c => [c.symbol, c.fraction]), [['Au', 0.6], ['Pd', 0.4]]);
+  });
+  
+  it('falls back to the element names in the material', () => {
+    const components = parseComposition({ material: 'Platinum/Palladium', alloy_ratio: '80/20' });
+    assert.equal(formatComposition(components), '80% Pt / 20% Pd');
+  });
+  
+  it('treats a single-element material as pure', () => {
+    assert.deepEqual(parseComposition({ material: 'Gold' }), [
+      { symbol: 'Au', fraction: 1, basis: 'weight', position: 0 }
+    ]);
+  });
+  
+  it('records atomic percentages', () => {
+    const components = parseComposition({ material: 'Nickel/Chromium', alloy_ratio: '80 at% Ni / 20 at% Cr' });
+    assert.deepEqual(components.map(c => [c.symbol, c.basis]), [['Ni', 'atomic'], ['Cr', 'atomic']]);
+  });
+  
+  it('returns nothing when the composition is ambiguous', () => {
+    assert.deepEqual(parseComposition({ material: 'ITO', alloy_ratio: '90/10' }), []);
+    assert.deepEqual(parseComposition({ material: 'Gold/Palladium' }), []);
+    assert.deepEqual(parseComposition({ material: 'Gold/Palladium', alloy_ratio: '70% Au / 50% Pd' }), []);
+  });
+});
+
+describe('elementSymbol', () => {
+  it('accepts names and symbols in any case', () => {
+    assert.equal(elementSymbol('gold'), 'Au');
+    assert.equal(elementSymbol('PD'), 'Pd');
+    assert.equal(elementSymbol('Unobtainium'), null);
+  });
+});
+
+describe('contains filter', () => {
+  it('takes min_fraction as a fraction from 0 to 1', () => {
+    assert.deepEqual(targetFilters({ contains: 'Pd', min_fraction: '0.2' }, 'mm').values, ['Pd', 0.2]);
+    assert.deepEqual(targetFilters({ contains: 'Pd', min_fraction: '1' }, 'mm').values, ['Pd', 1]);
+  });
+
+  it('rejects a min_fraction that is not a fraction', () => {
+    for (const min_fraction of ['abc', '5', '-1', '0.2abc']) {
+      assert.throws(() => targetFilters({ contains: 'Pd', min_fraction }, 'mm'), {
+        status: 400,
+        message: 'min_fraction must be a number from 0 to 1'
+      });
+    }
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for parse confidence scoring and quarantine selection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreTarget, shouldQuarantine, partitionByConfidence, confidenceThreshold, DEFAULT_CONFIDENCE_THRESHOLD } from '../scripts/lib/confidence.js';
+
+const complete = {
+  part_number: '8001',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: 57,
+  thickness_mm: 0.1
+};
+
+describe('scoreTarget', () => {
+  it('gives a fully parsed disc full confidence', () => {
+    assert.deepEqual(scoreTarget(complete), { confidence: 1, unparsed: [] });
+  });
+  
+  it('lists the fields that could not be parsed', () => {
+    const score = scoreTarget({ ...complete, diameter_mm: null, thickness_mm: null });
+    assert.deepEqual(score.unparsed, ['diameter_mm', 'thickness_mm']);
+    assert.equal(score.confidence, 0.55);
+  });
+  
+  it('expects OD and ID on annular targets', () => {
+    const score = scoreTarget({ ...complete, target_type: 'annular', diameter_mm: null, outer_diameter_mm: 60 });
+    assert.deepEqual(score.unparsed, ['inner_diameter_mm']);
+  });
+});
+
+describe('shouldQuarantine', () => {
+  it('keeps rows that only lack purity', () => {
+    const target = { ...complete, purity: null };
+    assert.equal(shouldQuarantine(target, scoreTarget(target)), false);
+  });
+  
+  it('quarantines rows with a missing diameter or thickness', () => {
+    for (const field of ['diameter_mm', 'thickness_mm']) {
+      const target = { ...complete, [field]: null };
+      assert.equal(shouldQuarantine(target, scoreTarget(target)), true, field);
+    }
+  });
+  
+  it('always quarantines rows without a material, whatever the threshold', () => {
+    const target = { ...complete, material: null };
+    assert.equal(shouldQuarantine(target, scoreTarget(target), 0), true);
+  });
+});
+
+describe('partitionByConfidence', () => {
+  it('splits rows into accepted and quarantined', () => {
+    const weak = { ...complete, part_number: '8002', thickness_mm: null };
+    const { accepted, quarantined } = partitionByConfidence([complete, weak]);
+    assert.deepEqual(accepted.map(t => t.part_number), ['8001']);
+    assert.deepEqual(quarantined.map(q => q.target.part_number), ['8002']);
+    assert.deepEqual(quarantined[0].score.unparsed, ['thickness_mm']);
+  });
+});
+
+describe('confidenceThreshold', () => {
+  it('reads a threshold between 0 and 1 and ignores anything else', () => {
+    assert.equal(confidenceThreshold('0.6'), 0.6);
+    assert.equal(confidenceThreshold('2'), DEFAULT_CONFIDENCE_THRESHOLD);
+    assert.equal(confidenceThreshold(undefined), DEFAULT_CONFIDENCE_THRESHOLD);
+  });
+});
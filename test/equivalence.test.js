@@ -0,0 +1,124 @@
+/**
+ * Tests for cross-vendor equivalence matching
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TOLERANCE,
+  equivalenceTolerance,
+  materialKey,
+  purityValue,
+  matchKey,
+  sameSize,
+  groupEquivalents
+} from '../scripts/lib/equivalence.js';
+
+const gold = (id, overrides = {}) => ({
+  id,
+  vendor: 'Ted Pella',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: '57.000',
+  thickness_mm: '0.1000',
+  backing_plate: null,
+  ...overrides
+});
+
+describe('equivalence tolerance', () => {
+  it('defaults to 0.5 mm diameter and 0.01 mm thickness', () => {
+    assert.deepEqual(equivalenceTolerance({}), DEFAULT_TOLERANCE);
+  });
+
+  it('reads overrides and ignores invalid values', () => {
+    assert.deepEqual(equivalenceTolerance({ diameter_mm: '0.3', thickness_mm: '-1' }), {
+      diameter_mm: 0.3,
+      thickness_mm: DEFAULT_TOLERANCE.thickness_mm
+    });
+  });
+});
+
+describe('match key', () => {
+  it('normalizes element names and symbols to the same material', () => {
+    assert.equal(materialKey({ material: 'Gold' }), materialKey({ material: 'Au' }));
+  });
+
+  it('includes alloy fractions', () => {
+    assert.equal(materialKey({ material: 'Gold/Palladium', alloy_ratio: '80/20' }), 'Au80Pd20');
+    assert.notEqual(
+      materialKey({ material: 'Gold/Palladium', alloy_ratio: '80/20' }),
+      materialKey({ material: 'Gold/Palladium', alloy_ratio: '60/40' })
+    );
+  });
+
+  it('reads purity as a number', () => {
+    assert.equal(purityValue('99.99%'), 99.99);
+    assert.equal(purityValue('99.99'), 99.99);
+    assert.equal(purityValue(null), null);
+  });
+
+  it('keys on type, material, purity and backing plate', () => {
+    assert.equal(matchKey(gold(1)), 'disc|Au|99.99|none');
+    assert.equal(matchKey(gold(1, { purity: '99.99', material: 'Au' })), matchKey(gold(2)));
+    assert.notEqual(matchKey(gold(1, { backing_plate: 'Copper' })), matchKey(gold(2)));
+  });
+
+  it('skips targets without a diameter', () => {
+    assert.equal(matchKey(gold(1, { diameter_mm: null })), null);
+    assert.equal(matchKey(gold(1, { target_type: 'annular', diameter_mm: null, outer_diameter_mm: 60 })), null);
+  });
+});
+
+describe('size matching', () => {
+  it('treats inch and mm listings of the same size as equal', () => {
+    // 2.25" = 57.15 mm
+    assert.equal(sameSize(gold(1), gold(2, { diameter_mm: '57.150' }), DEFAULT_TOLERANCE), true);
+  });
+
+  it('rejects sizes outside the tolerance', () => {
+    assert.equal(sameSize(gold(1), gold(2, { diameter_mm: '60.000' }), DEFAULT_TOLERANCE), false);
+    assert.equal(sameSize(gold(1), gold(2, { thickness_mm: '0.2000' }), DEFAULT_TOLERANCE), false);
+  });
+
+  it('only matches a missing thickness with a missing thickness', () => {
+    assert.equal(sameSize(gold(1, { thickness_mm: null }), gold(2), DEFAULT_TOLERANCE), false);
+    assert.equal(sameSize(gold(1, { thickness_mm: null }), gold(2, { thickness_mm: null }), DEFAULT_TOLERANCE), true);
+  });
+
+  it('compares OD and ID for annular targets', () => {
+    const ring = (id, od, innerD) => gold(id, { target_type: 'annular', diameter_mm: null, outer_diameter_mm: od, inner_diameter_mm: innerD });
+    assert.equal(sameSize(ring(1, 60, 20), ring(2, 60.2, 20), DEFAULT_TOLERANCE), true);
+    assert.equal(sameSize(ring(1, 60, 20), ring(2, 60, 22), DEFAULT_TOLERANCE), false);
+  });
+});
+
+describe('groupEquivalents', () => {
+  it('groups equivalent targets from different vendors', () => {
+    const groups = groupEquivalents([
+      gold(1),
+      gold(2, { vendor: 'Acme Materials', material: 'Au', purity: '99.99', diameter_mm: '57.150' }),
+      gold(3, { thickness_mm: '0.2000' }),
+      gold(4, { material: 'Platinum' })
+    ], DEFAULT_TOLERANCE);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].members.map(t => t.id), [1, 2]);
+    assert.equal(groups[0].key, 'disc|Au|99.99|none');
+  });
+
+  it('drops groups with a single member', () => {
+    assert.deepEqual(groupEquivalents([gold(1), gold(2, { purity: '99.9%' })], DEFAULT_TOLERANCE), []);
+  });
+
+  it('measures every member against the anchor so groups do not chain', () => {
+    const groups = groupEquivalents([
+      gold(1, { diameter_mm: '57.0' }),
+      gold(2, { diameter_mm: '57.4' }),
+      gold(3, { diameter_mm: '57.8' }),
+      gold(4, { diameter_mm: '58.2' })
+    ], DEFAULT_TOLERANCE);
+
+    assert.deepEqual(groups.map(g => g.members.map(t => t.id)), [[1, 2], [3, 4]]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for catalog facet counts, against the seeded test catalog
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFacets, listTargets, facetValues, targetFilters, FACET_NAMES } from '../scripts/lib/api/index.js';
+import { testDb, seedCatalog } from './helpers/db.js';
+
+describe('targetFilters', () => {
+  it('rejects a dimension that is not a number', () => {
+    assert.throws(() => targetFilters({ diameter: 'abc' }, 'mm'), { status: 400, message: 'diameter must be a number' });
+    assert.throws(() => targetFilters({ thickness_max: 'thin' }, 'in'), { status: 400 });
+  });
+
+  it('rejects a coater that is not an id', () => {
+    assert.deepEqual(targetFilters({ coater: '3' }, 'mm').values, [3]);
+    for (const coater of ['abc', '0', '1.5']) {
+      assert.throws(() => targetFilters({ coater }, 'mm'), { status: 400, message: 'coater must be a positive integer' });
+    }
+  });
+});
+
+describe('facetValues', () => {
+  it('converts lengths and merges values that round together', () => {
+    const rows = [
+      { value: '50.80', count: 2 },
+      { value: '50.8001', count: 1 },
+      { value: '57.00', count: 5 }
+    ];
+    assert.deepEqual(facetValues(rows, 'in', 'diameter_mm'), [
+      { value: 2, count: 3 },
+      { value: 2.244, count: 5 }
+    ]);
+  });
+
+  it('leaves other facets as they are', () => {
+    const rows = [{ value: 'Gold', count: 3, symbol: 'Au' }];
+    assert.deepEqual(facetValues(rows, 'in'), rows);
+  });
+});
+
+describe('getFacets', () => {
+  let db;
+
+  before(async () => {
+    db = await testDb();
+    await seedCatalog(db);
+  });
+
+  after(async () => {
+    await db.end();
+  });
+
+  const facets = query => getFacets.handle(db, { query });
+  const total = async query => (await listTargets.handle(db, { query })).pagination.total;
+
+  it('counts every value of every facet', async () => {
+    const result = await facets({});
+    assert.equal(result.total, 7);
+    assert.deepEqual(Object.keys(result.facets), FACET_NAMES);
+    assert.deepEqual(result.facets.material, [
+      { value: 'Gold', count: 3, symbol: 'Au' },
+      { value: 'Gold/Palladium', count: 1, symbol: 'Au/Pd' },
+      { value: 'NEW Iridium', count: 1, symbol: null },
+      { value: 'Platinum', count: 1, symbol: 'Pt' },
+      { value: 'Silver', count: 1, symbol: 'Ag' }
+    ]);
+    assert.deepEqual(result.facets.type, [{ value: 'disc', count: 6 }, { value: 'annular', count: 1 }]);
+  });
+
+  it('gives each option the number of targets choosing it returns', async () => {
+    for (const base of [{}, { thickness: '0.1' }, { purity: '99.99%', units: 'in' }]) {
+      const result = await facets(base);
+      for (const name of FACET_NAMES) {
+        for (const { value, count } of result.facets[name]) {
+          const chosen = { ...base, [name]: String(value) };
+          assert.equal(await total(chosen), count, `${JSON.stringify(chosen)}`);
+        }
+      }
+    }
+  });
+
+  it('counts each facet without its own filter but with all the others', async () => {
+    const result = await facets({ material: 'Gold', diameter: '57' });
+    assert.equal(result.total, 2);
+    // Other materials at 57 mm stay selectable; Gold's other diameters too
+    assert.deepEqual(result.facets.material.map(v => [v.value, v.count]), [
+      ['Gold', 2], ['Gold/Palladium', 1], ['NEW Iridium', 1], ['Platinum', 1]
+    ]);
+    assert.deepEqual(result.facets.diameter, [{ value: '57.000', count: 2 }, { value: '54.000', count: 1 }]);
+    assert.deepEqual(result.facets.thickness, [{ value: '0.1000', count: 1 }, { value: '0.2000', count: 1 }]);
+  });
+
+  it('matches a material by alias or by the unmatched vendor text', async () => {
+    assert.equal(await total({ material: 'au' }), 3);
+    assert.equal(await total({ material: 'Au/Pd' }), 1);
+    assert.equal(await total({ material: 'new iridium' }), 1);
+    assert.equal(await total({ material: 'Gol' }), 0);
+  });
+});
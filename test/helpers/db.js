@@ -0,0 +1,62 @@
+/**
+ * Test databases
+ * testDb() runs Postgres in-process (PGlite) behind the part of the pg
+ * interface the scripts use: query(sql, params) -> { rows, rowCount } and
+ * connect() -> a client with release(). BIGINT and NUMERIC come back as
+ * strings, as pg returns them. seedCatalog() fills it with a small catalog
+ * through the same writes ingest uses.
+ */
+
+import { PGlite } from '@electric-sql/pglite';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { migrateUp } from '../../scripts/lib/migrations.js';
+import { upsertSource, upsertTargets } from '../../scripts/lib/catalog-db.js';
+
+const BIGINT = 20;
+
+/**
+ * A fresh database, with every migration applied unless migrate is false
+ */
+export async function testDb({ migrate = true } = {}) {
+  const pg = new PGlite({ extensions: { pg_trgm }, parsers: { [BIGINT]: value => value } });
+
+  // Without parameters the text may hold several statements (migrations do)
+  async function query(sql, params = []) {
+    const result = params.length > 0 ? await pg.query(sql, params) : (await pg.exec(sql)).at(-1);
+    return { rows: result?.rows ?? [], rowCount: result?.affectedRows ?? 0 };
+  }
+
+  const db = {
+    query,
+    async connect() {
+      return { query, release() {} };
+    },
+    async end() {
+      await pg.close();
+    }
+  };
+
+  if (migrate) await migrateUp(db);
+  return db;
+}
+
+// Gold/Palladium and "Gold" share a word, Platinum is there to misspell, and
+// "NEW Iridium" matches no known material
+export const CATALOG = [
+  { part_number: 'AU-57-01', material: 'Gold', purity: '99.99%', diameter_mm: 57, thickness_mm: 0.1 },
+  { part_number: 'AU-57-02', material: 'Gold', purity: '99.99%', diameter_mm: 57, thickness_mm: 0.2 },
+  { part_number: 'AU-54-01', material: 'Gold', purity: '99.999%', diameter_mm: 54, thickness_mm: 0.1, backing_plate: 'Copper' },
+  { part_number: 'AUPD-57-01', material: 'Gold/Palladium', alloy_ratio: '60/40', purity: '99.99%', diameter_mm: 57, thickness_mm: 0.1 },
+  { part_number: 'PT-57-01', material: 'Platinum', purity: '99.99%', diameter_mm: 57, thickness_mm: 0.1, notes: 'Fine grain for high resolution' },
+  { part_number: 'AG-60-20', material: 'Silver', target_type: 'annular', purity: '99.99%', outer_diameter_mm: 60, inner_diameter_mm: 20, thickness_mm: 0.1 },
+  { part_number: 'IR-57-01', material: 'NEW Iridium', purity: '99.9%', diameter_mm: 57, thickness_mm: 0.1 }
+];
+
+/**
+ * Write targets (default CATALOG) for one vendor; returns the source id
+ */
+export async function seedCatalog(db, targets = CATALOG, vendor = 'Ted Pella') {
+  const sourceId = await upsertSource(db, { vendor, sourceUrl: `https://${vendor.replace(/\W+/g, '').toLowerCase()}.example/targets` });
+  await upsertTargets(db, targets, sourceId);
+  return sourceId;
+}
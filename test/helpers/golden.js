@@ -0,0 +1,56 @@
+/**
+ * Golden-file helpers for the parser tests
+ *
+ * Expected outputs live in test/golden as JSON. After a reviewed parser change,
+ * regenerate them with `npm run test:update-golden` and commit the diff.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+export const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Compare a value with its golden file, or rewrite the file when UPDATE_GOLDEN=1
+ */
+export function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  // Round-trip through JSON so the comparison matches what is on disk
+  const normalized = JSON.parse(JSON.stringify(actual));
+  
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(normalized, null, 2) + '\n');
+    return;
+  }
+  
+  if (!fs.existsSync(file)) {
+    assert.fail(`Missing golden file ${path.relative(process.cwd(), file)} - run npm run test:update-golden`);
+  }
+  
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(normalized, expected);
+}
+
+/**
+ * Read a fixture file relative to test/fixtures
+ */
+export function readFixture(relativePath) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8');
+}
+
+/**
+ * List fixture files in a directory relative to test/fixtures
+ */
+export function listFixtures(relativeDir, extension) {
+  return fs.readdirSync(path.join(FIXTURES_DIR, relativeDir))
+    .filter(file => file.endsWith(extension))
+    .sort();
+}
@@ -0,0 +1,65 @@
+/**
+ * Tests for the bulk file import helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { readRecords, resolveColumns, mapRecord, validateRecord } from '../scripts/lib/import-file.js';
+import { FIXTURES_DIR } from './helpers/golden.js';
+
+const CSV_FILE = path.join(FIXTURES_DIR, 'import', 'acme.csv');
+
+async function loadFixture(mapping) {
+  const records = await readRecords(CSV_FILE);
+  const columns = resolveColumns(Object.keys(records[0].record), mapping);
+  return { records, columns };
+}
+
+describe('resolveColumns', () => {
+  it('maps common header names onto the targets schema', async () => {
+    const { columns } = await loadFixture({ part_number: 'Cat. No.' });
+    assert.deepEqual(columns, {
+      part_number: 'Cat. No.',
+      target_type: 'Type',
+      material: 'Material',
+      purity: 'Purity',
+      diameter_mm: 'Dia (mm)',
+      outer_diameter_mm: 'OD',
+      inner_diameter_mm: 'ID',
+      thickness_mm: 'Thickness',
+      price_usd: 'Price'
+    });
+  });
+  
+  it('rejects a mapping that points at a missing column', () => {
+    assert.throws(() => resolveColumns(['Material'], { part_number: 'SKU' }), /missing column "SKU"/);
+  });
+  
+  it('rejects a mapping for an unknown field', () => {
+    assert.throws(() => resolveColumns(['Material'], { colour: 'Material' }), /unknown field "colour"/);
+  });
+});
+
+describe('validateRecord', () => {
+  it('accepts valid rows and reports a reason for each rejected one', async () => {
+    const { records, columns } = await loadFixture({ part_number: 'Cat. No.' });
+    const results = records.map(({ row, record }) => ({ row, ...validateRecord(mapRecord(record, columns)) }));
+    
+    const accepted = results.filter(r => r.target).map(r => r.target);
+    assert.deepEqual(accepted.map(t => t.part_number), ['A-100', 'A-101', 'A-200']);
+    assert.equal(accepted[0].price_usd, 1085);
+    assert.equal(accepted[0].price_status, 'listed');
+    assert.equal(accepted[1].target_type, 'disc');
+    assert.equal(accepted[1].price_status, 'on_request');
+    assert.equal(accepted[2].outer_diameter_mm, 60);
+    
+    const rejected = Object.fromEntries(results.filter(r => r.reasons).map(r => [r.row, r.reasons]));
+    assert.deepEqual(rejected, {
+      5: ['inner_diameter_mm must be smaller than outer_diameter_mm'],
+      6: ['part_number is required'],
+      7: ['target_type "wedge" must be one of disc, annular, other'],
+      8: ['diameter_mm "abc" is not a number']
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for lot and inventory item validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLot, validateInventoryItem } from '../scripts/lib/inventory.js';
+
+describe('validateLot', () => {
+  it('accepts a full lot and trims text', () => {
+    const { values, reasons } = validateLot({
+      target_id: '12',
+      vendor_lot_number: ' L2291 ',
+      received_date: '2024-03-01',
+      coa_file: 'https://example.com/coa-L2291.pdf'
+    });
+    assert.equal(reasons, undefined);
+    assert.deepEqual(values, {
+      target_id: 12,
+      vendor_lot_number: 'L2291',
+      received_date: '2024-03-01',
+      coa_file: 'https://example.com/coa-L2291.pdf',
+      notes: null
+    });
+  });
+
+  it('requires a target', () => {
+    assert.deepEqual(validateLot({ vendor_lot_number: 'L1' }).reasons, ['target_id is required']);
+  });
+
+  it('rejects dates that are not real calendar days', () => {
+    const { reasons } = validateLot({ target_id: 1, received_date: '2024-02-30' });
+    assert.match(reasons[0], /received_date/);
+    assert.ok(validateLot({ target_id: 1, received_date: '03/01/2024' }).reasons);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.deepEqual(validateLot({ target_id: 1, quantity: 2 }).reasons, ['Unknown fields: quantity']);
+  });
+
+  it('returns only the given fields when partial', () => {
+    assert.deepEqual(validateLot({ coa_file: '' }, { partial: true }).values, { coa_file: null });
+  });
+});
+
+describe('validateInventoryItem', () => {
+  it('requires target, location and quantity', () => {
+    const { reasons } = validateInventoryItem({});
+    assert.deepEqual(reasons, ['target_id is required', 'location is required', 'quantity is required']);
+  });
+
+  it('accepts zero but not negative or fractional quantities', () => {
+    const base = { target_id: 1, location: 'Cabinet B' };
+    assert.equal(validateInventoryItem({ ...base, quantity: 0 }).values.quantity, 0);
+    assert.ok(validateInventoryItem({ ...base, quantity: -1 }).reasons);
+    assert.ok(validateInventoryItem({ ...base, quantity: 1.5 }).reasons);
+  });
+
+  it('rejects a lot id that is not a positive integer', () => {
+    const { reasons } = validateInventoryItem({ target_id: 1, lot_id: 'abc', location: 'A', quantity: 1 });
+    assert.deepEqual(reasons, ['lot_id must be a positive integer']);
+  });
+
+  it('lets a partial update change quantity alone but not blank the location', () => {
+    assert.deepEqual(validateInventoryItem({ quantity: '3' }, { partial: true }).values, { quantity: 3 });
+    assert.deepEqual(validateInventoryItem({ location: ' ' }, { partial: true }).reasons, ['location is required']);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for material name normalization
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMaterialAlias, withMaterialIds } from '../scripts/lib/materials.js';
+
+// Answers the material_aliases lookup from a fixed table
+function aliasClient(aliases) {
+  return {
+    queries: 0,
+    async query(sql, [keys]) {
+      this.queries++;
+      return { rows: keys.filter(k => k in aliases).map(alias => ({ alias, material_id: aliases[alias] })) };
+    }
+  };
+}
+
+describe('normalizeMaterialAlias', () => {
+  it('ignores case and surrounding whitespace', () => {
+    assert.equal(normalizeMaterialAlias('  Gold '), 'gold');
+    assert.equal(normalizeMaterialAlias('AU'), 'au');
+  });
+
+  it('writes alloy separators as a single slash', () => {
+    assert.equal(normalizeMaterialAlias('Gold / Palladium'), 'gold/palladium');
+    assert.equal(normalizeMaterialAlias('Gold-Palladium'), 'gold/palladium');
+    assert.equal(normalizeMaterialAlias('Au – Pd'), 'au/pd');
+  });
+
+  it('collapses inner whitespace', () => {
+    assert.equal(normalizeMaterialAlias('Indium   Tin\tOxide'), 'indium tin oxide');
+  });
+
+  it('returns null for empty names', () => {
+    assert.equal(normalizeMaterialAlias(''), null);
+    assert.equal(normalizeMaterialAlias('   '), null);
+    assert.equal(normalizeMaterialAlias(null), null);
+  });
+});
+
+describe('withMaterialIds', () => {
+  it('links names and symbols to the same material and leaves unknown ones null', async () => {
+    const client = aliasClient({ gold: 1, au: 1, 'gold/palladium': 7 });
+    const targets = await withMaterialIds(client, [
+      { part_number: '1', material: 'Gold' },
+      { part_number: '2', material: 'Au' },
+      { part_number: '3', material: 'Gold / Palladium' },
+      { part_number: '4', material: 'NEW Iridium' }
+    ]);
+
+    assert.deepEqual(targets.map(t => t.material_id), [1, 1, 7, null]);
+    assert.equal(targets[0].part_number, '1');
+    assert.equal(client.queries, 1);
+  });
+
+  it('skips the lookup when no target has a material', async () => {
+    const client = aliasClient({});
+    const targets = await withMaterialIds(client, [{ part_number: '1', material: null }]);
+    assert.equal(targets[0].material_id, null);
+    assert.equal(client.queries, 0);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for versioned migration ordering and rollback planning
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MIGRATIONS_DIR,
+  listMigrations,
+  loadMigration,
+  migrationStatus,
+  planUp,
+  planDown,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+} from '../scripts/lib/migrations.js';
+import { testDb } from './helpers/db.js';
+
+const available = [
+  { version: 1, name: 'initial_schema', checksum: 'a' },
+  { version: 2, name: 'add_lots', checksum: 'b' },
+  { version: 3, name: 'add_search', checksum: 'c' }
+];
+const applied = (...versions) => versions.map(v => ({ ...available[v - 1], applied_at: '2026-01-01T00:00:00Z' }));
+
+describe('migration files', () => {
+  it('numbers the repository migrations from 001 without gaps', async () => {
+    const migrations = listMigrations(MIGRATIONS_DIR);
+    assert.equal(migrations[0].name, 'initial_schema');
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+
+    for (const migration of migrations) {
+      const loaded = await loadMigration(migration);
+      assert.ok(loaded.up, `${migration.name} has up`);
+      assert.ok(loaded.down, `${migration.name} has down`);
+      assert.match(loaded.checksum, /^[0-9a-f]{64}$/);
+    }
+  });
+
+  describe('in a directory', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emtec-migrations-'));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('sorts by version and rejects misnamed or duplicate files', async () => {
+      fs.writeFileSync(path.join(dir, '010_later.js'), 'export const up = "SELECT 1"; export const down = "SELECT 1";');
+      fs.writeFileSync(path.join(dir, '002_earlier.js'), 'export const up = "SELECT 1"; export const down = async () => {};');
+      assert.deepEqual(listMigrations(dir).map(m => [m.version, m.name]), [[2, 'earlier'], [10, 'later']]);
+
+      fs.writeFileSync(path.join(dir, '002_clash.js'), '');
+      assert.throws(() => listMigrations(dir), /share version 2/);
+      fs.rmSync(path.join(dir, '002_clash.js'));
+
+      fs.writeFileSync(path.join(dir, 'add-lots.js'), '');
+      assert.throws(() => listMigrations(dir), /NNN_description\.js/);
+      fs.rmSync(path.join(dir, 'add-lots.js'));
+    });
+
+    it('requires both up and down', async () => {
+      const file = path.join(dir, '003_no_down.js');
+      fs.writeFileSync(file, 'export const up = "SELECT 1";');
+      await assert.rejects(loadMigration({ version: 3, name: 'no_down', file }), /must export "down"/);
+      fs.rmSync(file);
+    });
+  });
+});
+
+describe('migration planning', () => {
+  it('applies pending migrations in order, optionally up to a version', () => {
+    assert.deepEqual(planUp(available, applied(1)).map(m => m.version), [2, 3]);
+    assert.deepEqual(planUp(available, applied(1), 2).map(m => m.version), [2]);
+    assert.deepEqual(planUp(available, applied(1, 2, 3)), []);
+  });
+
+  it('rolls back the newest migrations first', () => {
+    assert.deepEqual(planDown(available, applied(1, 2, 3)).map(m => m.version), [3]);
+    assert.deepEqual(planDown(available, applied(1, 2, 3), { steps: 2 }).map(m => m.version), [3, 2]);
+    assert.deepEqual(planDown(available, applied(1, 2, 3), { to: 1 }).map(m => m.version), [3, 2]);
+    assert.deepEqual(planDown(available, applied(1, 2), { to: 0 }).map(m => m.version), [2, 1]);
+  });
+
+  it('refuses to roll back a migration whose file is gone', () => {
+    const gone = [...applied(1, 2), { version: 4, name: 'deleted', checksum: 'd' }];
+    assert.throws(() => planDown(available, gone), /4_deleted.*missing/);
+  });
+
+  it('reports applied, pending, modified and missing migrations', () => {
+    const rows = [
+      ...applied(1),
+      { version: 2, name: 'add_lots', checksum: 'edited', applied_at: null },
+      { version: 9, name: 'deleted', checksum: 'z', applied_at: null }
+    ];
+    assert.deepEqual(migrationStatus(available, rows).map(r => [r.version, r.state]), [
+      [1, 'applied'],
+      [2, 'modified'],
+      [3, 'pending'],
+      [9, 'missing']
+    ]);
+  });
+});
+
+describe('repository migrations on Postgres', () => {
+  let db;
+
+  before(async () => {
+    db = await testDb({ migrate: false });
+  });
+
+  after(async () => {
+    await db.end();
+  });
+
+  const tables = async () => (await db.query(`
+    SELECT table_name FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_name <> 'schema_migrations'
+  `)).rows.map(r => r.table_name);
+
+  it('applies every migration to an empty database', async () => {
+    const versions = listMigrations(MIGRATIONS_DIR).map(m => m.version);
+    assert.deepEqual((await migrateUp(db)).map(m => m.version), versions);
+    assert.ok((await getMigrationStatus(db)).every(m => m.state === 'applied'));
+
+    const created = await tables();
+    for (const table of ['targets', 'materials', 'coaters', 'coater_targets', 'lots', 'inventory_items']) {
+      assert.ok(created.includes(table), `${table} exists`);
+    }
+  });
+
+  it('links the targets already stored to their materials', async () => {
+    await migrateDown(db, { to: 1 });
+    await db.query(`
+      INSERT INTO targets (vendor, part_number, material) VALUES
+        ('Ted Pella', 'A', 'Gold'), ('Ted Pella', 'B', ' Gold - Palladium '), ('Ted Pella', 'C', 'Unobtainium')
+    `);
+    await migrateUp(db);
+
+    const linked = await db.query(`
+      SELECT t.part_number, m.symbol FROM targets t LEFT JOIN materials m ON m.id = t.material_id
+      ORDER BY t.part_number
+    `);
+    assert.deepEqual(linked.rows, [
+      { part_number: 'A', symbol: 'Au' },
+      { part_number: 'B', symbol: 'Au/Pd' },
+      { part_number: 'C', symbol: null }
+    ]);
+  });
+
+  it('rolls everything back to an empty schema and applies it again', async () => {
+    const versions = listMigrations(MIGRATIONS_DIR).map(m => m.version);
+    assert.deepEqual((await migrateDown(db, { to: 0 })).map(m => m.version), [...versions].reverse());
+    assert.deepEqual(await tables(), []);
+
+    assert.deepEqual((await migrateUp(db)).map(m => m.version), versions);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Golden-file tests for the Ted Pella parser
+ * Runs saved HTML pages and description strings through the parser offline
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import tedPella, { parseDescription, parseTargetsFromHTML } from '../scripts/vendors/ted-pella.js';
+import { assertGolden, readFixture, listFixtures } from './helpers/golden.js';
+
+describe('parseDescription', () => {
+  const descriptions = JSON.parse(readFixture('descriptions.json'));
+  
+  it('matches the golden output for every saved description', () => {
+    const actual = descriptions.map(description => ({
+      description,
+      parsed: parseDescription(description)
+    }));
+    assertGolden('descriptions', actual);
+  });
+});
+
+describe('parseTargetsFromHTML', () => {
+  // The parser logs progress; keep test output readable
+  let log;
+  before(() => {
+    log = console.log;
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = log;
+  });
+  
+  for (const file of listFixtures('ted-pella', '.html')) {
+    const name = path.basename(file, '.html');
+    
+    it(`matches the golden output for ${file}`, () => {
+      const html = readFixture(path.join('ted-pella', file));
+      assertGolden(path.join('ted-pella', name), parseTargetsFromHTML(html));
+    });
+  }
+});
+
+describe('Ted Pella adapter', () => {
+  const saved = process.env.TED_PELLA_SOURCE_URL;
+
+  after(() => {
+    if (saved === undefined) delete process.env.TED_PELLA_SOURCE_URL;
+    else process.env.TED_PELLA_SOURCE_URL = saved;
+  });
+
+  it('reads TED_PELLA_SOURCE_URL when used, so .env loaded after import applies', () => {
+    delete process.env.TED_PELLA_SOURCE_URL;
+    assert.match(tedPella.sourceUrl, /tedpella\.com/);
+
+    process.env.TED_PELLA_SOURCE_URL = 'https://mirror.example/targets.aspx';
+    assert.equal(tedPella.sourceUrl, 'https://mirror.example/targets.aspx');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the dry-run ingest plan
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPlan, comparable } from '../scripts/lib/plan.js';
+
+const parsed = {
+  part_number: '91017',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: 57,
+  thickness_mm: 0.1,
+  price_usd: 310,
+  price_status: 'listed'
+};
+
+// As pg returns the same target: decimals as strings, unset columns null
+const stored = {
+  id: 1,
+  source_id: 7,
+  part_number: '91017',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: '57.0000',
+  outer_diameter_mm: null,
+  inner_diameter_mm: null,
+  thickness_mm: '0.1000',
+  backing_plate: null,
+  alloy_ratio: null,
+  notes: null,
+  price_usd: '310.00',
+  price_status: 'listed',
+  discontinued: false
+};
+
+describe('comparable', () => {
+  it('compares numbers by value and treats blanks as null', () => {
+    assert.equal(comparable('diameter_mm', '57.0000'), comparable('diameter_mm', 57));
+    assert.equal(comparable('notes', ''), null);
+    assert.equal(comparable('thickness_mm', 'abc'), null);
+  });
+});
+
+describe('buildPlan', () => {
+  it('is empty for an empty source and database', () => {
+    assert.deepEqual(buildPlan([], [], 7), {
+      summary: { parsed: 0, added: 0, changed: 0, unchanged: 0, quarantined: 0, missing: 0 },
+      added: [],
+      changed: [],
+      quarantined: [],
+      missing: []
+    });
+  });
+
+  it('sorts targets into added, changed, unchanged and missing', () => {
+    const existing = [
+      stored,
+      { ...stored, id: 2, part_number: '91018', thickness_mm: '0.2000' },
+      { ...stored, id: 3, part_number: '91019', discontinued: true },
+      { ...stored, id: 4, part_number: '91020', material: 'Silver' },
+      { ...stored, id: 5, part_number: '91021', discontinued: true },
+      { ...stored, id: 6, part_number: '91022', source_id: 8 }
+    ];
+    const targets = [
+      parsed,
+      { ...parsed, part_number: '91018', thickness_mm: 0.3 },
+      { ...parsed, part_number: '91019' },
+      { ...parsed, part_number: '99999', material: 'Platinum' }
+    ];
+
+    const plan = buildPlan(existing, targets, 7);
+
+    assert.deepEqual(plan.summary, { parsed: 4, added: 1, changed: 2, unchanged: 1, quarantined: 0, missing: 1 });
+    assert.deepEqual(plan.added.map(t => t.part_number), ['99999']);
+    assert.deepEqual(plan.changed, [
+      { part_number: '91018', id: 2, changes: { thickness_mm: { from: 0.2, to: 0.3 } } },
+      { part_number: '91019', id: 3, changes: { discontinued: { from: true, to: false } } }
+    ]);
+    // Already discontinued rows and other sources' rows are not reported missing
+    assert.deepEqual(plan.missing, [{ part_number: '91020', id: 4, material: 'Silver' }]);
+  });
+
+  it('keeps the stored price when the source gives none', () => {
+    const plan = buildPlan([stored], [{ ...parsed, price_usd: null, price_status: null }], 7);
+    assert.equal(plan.summary.unchanged, 1);
+  });
+
+  it('does not report locked fields as changed', () => {
+    const existing = [{ ...stored, thickness_mm: '0.2000', material: 'Gold ', locked_fields: ['thickness_mm'] }];
+    const plan = buildPlan(existing, [parsed], 7);
+    assert.deepEqual(plan.changed, [
+      { part_number: '91017', id: 1, changes: { material: { from: 'Gold ', to: 'Gold' } } }
+    ]);
+
+    const allLocked = buildPlan([{ ...existing[0], locked_fields: ['thickness_mm', 'material'] }], [parsed], 7);
+    assert.equal(allLocked.summary.unchanged, 1);
+  });
+
+  it('lists quarantined rows and does not count them as missing', () => {
+    const quarantined = [{
+      target: { ...parsed, raw_excerpt: 'Gold Target ??' },
+      score: { confidence: 0.4, unparsed: ['diameter_mm'] }
+    }];
+    const plan = buildPlan([stored], [], 7, quarantined);
+
+    assert.deepEqual(plan.quarantined, [
+      { part_number: '91017', confidence: 0.4, unparsed: ['diameter_mm'], raw_excerpt: 'Gold Target ??' }
+    ]);
+    assert.deepEqual(plan.missing, []);
+  });
+
+  it('reports nothing missing for a source that has never been ingested', () => {
+    assert.deepEqual(buildPlan([stored], [], null).missing, []);
+  });
+});
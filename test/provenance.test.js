@@ -0,0 +1,120 @@
+/**
+ * Tests for field locks and provenance bookkeeping
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLocks, changedFields } from '../scripts/lib/provenance.js';
+import { buildPlan } from '../scripts/lib/plan.js';
+import { updateTarget } from '../scripts/lib/api/index.js';
+import { testDb, seedCatalog } from './helpers/db.js';
+
+// A stored row as pg returns it (DECIMAL columns come back as strings)
+const stored = {
+  id: 7,
+  part_number: '8001',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: '57.00',
+  thickness_mm: '0.2000',
+  price_usd: '120.00',
+  price_status: 'listed',
+  source_id: 1
+};
+
+const parsed = {
+  part_number: '8001',
+  target_type: 'disc',
+  material: 'Gold',
+  purity: '99.99%',
+  diameter_mm: 57,
+  thickness_mm: 0.1,
+  price_usd: 125,
+  price_status: 'listed'
+};
+
+describe('applyLocks', () => {
+  it('keeps stored values for locked fields', () => {
+    const state = { id: 7, row: stored, locked: new Set(['thickness_mm']) };
+    const target = applyLocks(parsed, state);
+    assert.equal(target.thickness_mm, '0.2000');
+    assert.equal(target.price_usd, 125);
+  });
+
+  it('leaves new and unlocked targets alone', () => {
+    assert.equal(applyLocks(parsed, undefined), parsed);
+    assert.equal(applyLocks(parsed, { id: 7, row: stored, locked: new Set() }), parsed);
+  });
+});
+
+describe('changedFields', () => {
+  it('lists every set field for a new target', () => {
+    assert.deepEqual(changedFields(parsed, undefined), [
+      'target_type', 'material', 'purity', 'diameter_mm', 'thickness_mm', 'price_usd', 'price_status'
+    ]);
+  });
+
+  it('lists only fields whose value changes, ignoring locked ones', () => {
+    const state = { id: 7, row: stored, locked: new Set(['thickness_mm']) };
+    assert.deepEqual(changedFields(applyLocks(parsed, state), state), ['price_usd']);
+  });
+
+  it('skips price fields when the row has no price info', () => {
+    const state = { id: 7, row: stored, locked: new Set() };
+    const unpriced = { ...parsed, price_usd: null, price_status: null };
+    assert.deepEqual(changedFields(unpriced, state), ['thickness_mm']);
+  });
+});
+
+describe('buildPlan with locks', () => {
+  it('does not report locked fields as changes', () => {
+    const plan = buildPlan([{ ...stored, locked_fields: ['thickness_mm'] }], [parsed], 1);
+    assert.deepEqual(plan.changed, [{ part_number: '8001', id: 7, changes: { price_usd: { from: 120, to: 125 } } }]);
+  });
+});
+
+describe('PATCH /api/targets/:id', () => {
+  let db;
+  let id;
+
+  before(async () => {
+    db = await testDb();
+    await seedCatalog(db);
+    id = String((await db.query(`SELECT id FROM targets WHERE part_number = $1`, ['AU-57-01'])).rows[0].id);
+  });
+
+  after(async () => {
+    await db.end();
+  });
+
+  const patch = values => updateTarget.handle(db, { params: { id }, body: { values } });
+
+  it('rejects values it would have to rewrite, and changes nothing', async () => {
+    await assert.rejects(patch({ thickness_mm: 'abc', target_type: 'cube', material: ' ' }), {
+      status: 400,
+      message: 'thickness_mm must be a positive number; target_type must be one of disc, annular, other; material is required'
+    });
+    await assert.rejects(patch({ price_status: 'listed' }), { status: 400, message: 'price_status listed needs a price_usd' });
+    await assert.rejects(patch({ price_status: 'on_request', price_usd: 310 }), { status: 400 });
+
+    const [row] = (await db.query(`SELECT thickness_mm, target_type FROM targets WHERE id = $1`, [id])).rows;
+    assert.deepEqual(row, { thickness_mm: '0.1000', target_type: 'disc' });
+    const locks = await db.query(`SELECT * FROM target_field_provenance WHERE target_id = $1 AND locked`, [id]);
+    assert.equal(locks.rows.length, 0);
+  });
+
+  it('writes and locks the values given', async () => {
+    const target = await patch({ thickness_mm: '0.25', price_usd: 310 });
+    assert.equal(target.thickness_mm, '0.2500');
+    assert.equal(target.price_usd, '310.00');
+    assert.equal(target.price_status, 'listed');
+    assert.deepEqual(target.locked_fields, ['price_usd', 'thickness_mm']);
+  });
+
+  it('clears the price when the price is set to on request', async () => {
+    const target = await patch({ price_status: 'on_request' });
+    assert.equal(target.price_status, 'on_request');
+    assert.equal(target.price_usd, null);
+  });
+});
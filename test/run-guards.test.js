@@ -0,0 +1,49 @@
+/**
+ * Tests for the ingest rollback thresholds
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRowDrop, checkErrorRate, maxErrorRate, maxRowDrop, chunk, DEFAULT_MAX_ERROR_RATE, DEFAULT_MAX_ROW_DROP } from '../scripts/lib/run-guards.js';
+
+describe('checkRowDrop', () => {
+  it('allows a first run and small drops', () => {
+    assert.equal(checkRowDrop(10, null, 0.5), null);
+    assert.equal(checkRowDrop(60, 100, 0.5), null);
+    assert.equal(checkRowDrop(50, 100, 0.5), null);
+    assert.equal(checkRowDrop(120, 100, 0.5), null);
+  });
+
+  it('reports a drop past the threshold', () => {
+    assert.match(checkRowDrop(40, 100, 0.5), /down 60% from 100/);
+  });
+});
+
+describe('checkErrorRate', () => {
+  it('allows runs at or under the threshold', () => {
+    assert.equal(checkErrorRate(0, 100, 0), null);
+    assert.equal(checkErrorRate(5, 100, 0.05), null);
+    assert.equal(checkErrorRate(0, 0, 0.05), null);
+  });
+
+  it('reports runs over the threshold', () => {
+    assert.match(checkErrorRate(6, 100, 0.05), /6 of 100 rows failed/);
+    assert.ok(checkErrorRate(1, 100, 0));
+  });
+});
+
+describe('thresholds', () => {
+  it('reads fractions and falls back to defaults', () => {
+    assert.equal(maxErrorRate('0.2'), 0.2);
+    assert.equal(maxErrorRate('abc'), DEFAULT_MAX_ERROR_RATE);
+    assert.equal(maxRowDrop('1.5'), DEFAULT_MAX_ROW_DROP);
+    assert.equal(maxRowDrop('0'), 0);
+  });
+});
+
+describe('chunk', () => {
+  it('splits into batches of the given size', () => {
+    assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepEqual(chunk([], 2), []);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests for ingest scheduler interval parsing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInterval, formatInterval } from '../scripts/lib/schedule.js';
+
+describe('parseInterval', () => {
+  it('parses seconds, minutes, hours and days', () => {
+    assert.equal(parseInterval('90s'), 90 * 1000);
+    assert.equal(parseInterval('30m'), 30 * 60 * 1000);
+    assert.equal(parseInterval('6h'), 6 * 60 * 60 * 1000);
+    assert.equal(parseInterval('1d'), 24 * 60 * 60 * 1000);
+  });
+
+  it('treats a bare number as minutes', () => {
+    assert.equal(parseInterval('15'), 15 * 60 * 1000);
+  });
+
+  it('rejects malformed or zero intervals', () => {
+    assert.throws(() => parseInterval('soon'), /Invalid interval/);
+    assert.throws(() => parseInterval('0m'), /too short/);
+  });
+
+  it('rejects intervals longer than setTimeout can wait', () => {
+    assert.equal(parseInterval('24d'), 24 * 24 * 60 * 60 * 1000);
+    assert.throws(() => parseInterval('30d'), /too long/);
+  });
+});
+
+describe('formatInterval', () => {
+  it('uses the largest whole unit', () => {
+    assert.equal(formatInterval(6 * 60 * 60 * 1000), '6h');
+    assert.equal(formatInterval(90 * 60 * 1000), '90m');
+    assert.equal(formatInterval(1500), '2s');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for catalog search: query words, fuzzy matching, highlight spans
+ * and the relevance ordering of /api/targets
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchWords, wordSimilarity, matchSpans, searchMatches } from '../scripts/lib/search.js';
+import { listTargets } from '../scripts/lib/api/index.js';
+import { testDb, seedCatalog } from './helpers/db.js';
+
+describe('searchWords', () => {
+  it('lowercases and splits on whitespace and separators', () => {
+    assert.deepEqual(searchWords('Au/Pd  60,40'), ['au', 'pd', '60', '40']);
+  });
+
+  it('drops quotes, "or", excluded words and repeats', () => {
+    assert.deepEqual(searchWords('"gold disc" or gold -bonded'), ['gold', 'disc']);
+  });
+
+  it('returns nothing for an empty search', () => {
+    assert.deepEqual(searchWords(''), []);
+    assert.deepEqual(searchWords(undefined), []);
+  });
+});
+
+describe('wordSimilarity', () => {
+  it('is 1 when the word appears in the text', () => {
+    assert.equal(wordSimilarity('gold', 'Bonded gold disc'), 1);
+  });
+
+  it('scores a misspelling above the fuzzy threshold', () => {
+    assert.equal(wordSimilarity('platnum', 'Platinum'), 0.75);
+  });
+
+  it('scores unrelated words low', () => {
+    assert.ok(wordSimilarity('copper', 'Platinum') < 0.3);
+    assert.equal(wordSimilarity('', 'Platinum'), 0);
+  });
+});
+
+describe('matchSpans', () => {
+  it('marks every occurrence, case-insensitively', () => {
+    assert.deepEqual(matchSpans('Gold on gold', ['gold']), [[0, 4], [8, 12]]);
+  });
+
+  it('marks substrings such as part of a part number', () => {
+    assert.deepEqual(matchSpans('AU-2000', ['2000']), [[3, 7]]);
+  });
+
+  it('falls back to whole words close to a misspelling', () => {
+    assert.deepEqual(matchSpans('99.99% Platinum disc', ['platnum']), [[7, 15]]);
+  });
+
+  it('merges overlapping spans', () => {
+    assert.deepEqual(matchSpans('Palladium', ['pall', 'lladi']), [[0, 7]]);
+  });
+
+  it('returns nothing for empty text', () => {
+    assert.deepEqual(matchSpans(null, ['gold']), []);
+  });
+});
+
+describe('searchMatches', () => {
+  it('lists spans for the fields that matched only', () => {
+    const row = { part_number: 'AU-2000', material: 'Gold', vendor: 'acme', notes: 'Bonded gold disc' };
+    assert.deepEqual(searchMatches(row, 'gold'), { material: [[0, 4]], notes: [[7, 11]] });
+  });
+
+  it('limits the search to the given fields', () => {
+    const row = { material: 'Gold', notes: 'gold' };
+    assert.deepEqual(searchMatches(row, 'gold', ['notes']), { notes: [[0, 4]] });
+  });
+});
+
+describe('search in /api/targets', () => {
+  let db;
+
+  before(async () => {
+    db = await testDb();
+    await seedCatalog(db);
+  });
+
+  after(async () => {
+    await db.end();
+  });
+
+  const list = query => listTargets.handle(db, { query });
+  const parts = body => body.data.map(row => row.part_number);
+
+  it('finds a misspelled material and marks where it matched', async () => {
+    const body = await list({ search: 'platnum' });
+    assert.deepEqual(parts(body), ['PT-57-01']);
+    assert.equal(body.pagination.total, 1);
+    assert.deepEqual(body.data[0].matches, { material: [[0, 8]] });
+  });
+
+  it('searches part numbers and notes', async () => {
+    assert.deepEqual(parts(await list({ search: 'pd' })), ['AUPD-57-01']);
+    const notes = await list({ search: 'resolution' });
+    assert.deepEqual(parts(notes), ['PT-57-01']);
+    assert.deepEqual(notes.data[0].matches, { notes: [[20, 30]] });
+    assert.deepEqual(parts(await list({ search: 'copper' })), []);
+  });
+
+  it('takes LIKE wildcards in a search literally', async () => {
+    for (const search of ['%', '_', '\\']) {
+      assert.deepEqual(parts(await list({ search })), [], search);
+    }
+    assert.ok(parts(await list({ search: '0/4' })).includes('AUPD-57-01'));
+  });
+
+  it('orders a search by relevance, exact matches before close ones', async () => {
+    const body = await list({ search: '57-01' });
+    assert.equal(body.pagination.total, 5);
+    assert.equal(parts(body).at(-1), 'AU-57-02');
+    assert.deepEqual(body.data.at(-1).matches, {});
+    const relevance = body.data.map(row => row.relevance);
+    assert.deepEqual(relevance, [...relevance].sort((a, b) => b - a));
+  });
+
+  it('keeps an explicit sort, and sorts by material without a search', async () => {
+    const sorted = await list({ search: 'gold', sort: 'diameter_mm' });
+    assert.deepEqual(parts(sorted), ['AU-54-01', 'AU-57-01', 'AU-57-02', 'AUPD-57-01']);
+
+    const plain = await list({ sort: 'relevance' });
+    assert.equal(plain.pagination.total, 7);
+    assert.deepEqual(plain.data.map(row => row.material), [
+      'Gold', 'Gold', 'Gold', 'Gold/Palladium', 'NEW Iridium', 'Platinum', 'Silver'
+    ]);
+    assert.equal(plain.data[0].relevance, undefined);
+    assert.equal(plain.data[0].matches, undefined);
+  });
+
+  // Adds a target, so it runs last
+  it("finds a target by its material's aliases", async () => {
+    await seedCatalog(db, [{ part_number: '91017', material: 'Silver', purity: '99.99%', diameter_mm: 57, thickness_mm: 0.1 }], 'Acme');
+    assert.deepEqual(parts(await list({ search: 'ag' })), ['AG-60-20', '91017']);
+  });
+});
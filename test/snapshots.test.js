@@ -0,0 +1,76 @@
+/**
+ * Tests for the source snapshot archive
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveSnapshot, listSnapshots, loadSnapshot, diffSnapshots } from '../scripts/lib/snapshots.js';
+
+describe('snapshot archive', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emtec-snapshots-'));
+    process.env.SNAPSHOT_DIR = dir;
+  });
+
+  after(() => {
+    delete process.env.SNAPSHOT_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores each fetch with its headers and shares identical page bodies', () => {
+    const first = saveSnapshot({
+      name: 'source-page',
+      url: 'https://example.com/targets',
+      html: '<html>v1</html>',
+      status: 200,
+      headers: { etag: '"abc"' },
+      fetchedAt: new Date('2026-01-01T00:00:00Z')
+    });
+    saveSnapshot({ name: 'source-page', url: 'https://example.com/targets', html: '<html>v1</html>', fetchedAt: new Date('2026-01-02T00:00:00Z') });
+    saveSnapshot({ name: 'source-page', url: 'https://example.com/targets', html: '<html>v2</html>', fetchedAt: new Date('2026-01-03T00:00:00Z') });
+
+    assert.equal(first.id, `2026-01-01T00-00-00-000Z_${first.sha256.slice(0, 12)}`);
+    assert.deepEqual(first.headers, { etag: '"abc"' });
+
+    const files = fs.readdirSync(path.join(dir, 'source-page'));
+    assert.equal(files.filter(f => f.endsWith('.json')).length, 3);
+    assert.equal(files.filter(f => f.endsWith('.html')).length, 2);
+    assert.deepEqual(listSnapshots().map(s => s.fetched_at.slice(0, 10)), ['2026-01-01', '2026-01-02', '2026-01-03']);
+  });
+
+  it('loads a snapshot by id prefix and verifies its hash', () => {
+    const { meta, html } = loadSnapshot('2026-01-03');
+    assert.equal(html, '<html>v2</html>');
+    assert.equal(meta.url, 'https://example.com/targets');
+
+    assert.throws(() => loadSnapshot('2026-01-0'), /matches 3 snapshots/);
+    assert.throws(() => loadSnapshot('1999'), /No snapshot matches/);
+
+    fs.writeFileSync(path.join(dir, 'source-page', `${meta.sha256}.html`), 'tampered');
+    assert.throws(() => loadSnapshot(meta.id), /content hash/);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('lists added, removed and changed products', () => {
+    const older = [
+      { part_number: '8001', material: 'Gold', diameter_mm: 57, price_usd: 100, price_status: 'listed' },
+      { part_number: '8002', material: 'Silver', diameter_mm: 57 }
+    ];
+    const newer = [
+      { part_number: '8001', material: 'Gold', diameter_mm: 57, price_usd: 120, price_status: 'listed' },
+      { part_number: '8003', material: 'Copper', diameter_mm: 60 }
+    ];
+
+    const result = diffSnapshots(older, newer);
+    assert.deepEqual(result.added, ['8003']);
+    assert.deepEqual(result.removed, ['8002']);
+    assert.deepEqual(result.changed, [{ part_number: '8001', changes: { price_usd: { from: 100, to: 120 } } }]);
+    assert.equal(result.summary.unchanged, 0);
+  });
+});
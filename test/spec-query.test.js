@@ -0,0 +1,133 @@
+/**
+ * Tests for spec query parsing ("au 57mm 0.1 annular 99.999")
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpecQuery } from '../scripts/lib/spec-query.js';
+import { applySpecQuery, listTargets, getFacets } from '../scripts/lib/api/index.js';
+import { testDb, seedCatalog } from './helpers/db.js';
+
+const MATERIALS = new Map([
+  ['au', 'Gold'],
+  ['gold', 'Gold'],
+  ['pt', 'Platinum'],
+  ['au/pd', 'Gold/Palladium'],
+  ['stainless steel', 'Stainless Steel']
+]);
+
+describe('parseSpecQuery', () => {
+  it('reads material, sizes, type and purity', () => {
+    const { filters, ignored } = parseSpecQuery('au 57mm 0.1 annular 99.999', { materials: MATERIALS });
+    assert.deepEqual(filters, {
+      material: 'Gold',
+      diameter: 57,
+      thickness: 0.1,
+      type: 'annular',
+      purity: '99.999%'
+    });
+    assert.deepEqual(ignored, []);
+  });
+
+  it('reports which words set each filter', () => {
+    const { terms } = parseSpecQuery('Gold 99.99%, 60 mm', { materials: MATERIALS });
+    assert.deepEqual(terms, [
+      { text: 'Gold', filter: 'material', value: 'Gold' },
+      { text: '99.99%', filter: 'purity', value: '99.99%' },
+      { text: '60 mm', filter: 'diameter', value: 60 }
+    ]);
+  });
+
+  it('ignores leftover words and repeated filters', () => {
+    const { filters, ignored } = parseSpecQuery('bonded au pt 57 target', { materials: MATERIALS });
+    assert.deepEqual(filters, { material: 'Gold', diameter: 57 });
+    assert.deepEqual(ignored, ['bonded', 'pt', 'target']);
+  });
+
+  it('converts sizes given in other units', () => {
+    const { filters } = parseSpecQuery('2in x 0.004in au/pd', { materials: MATERIALS });
+    assert.deepEqual(filters, { diameter: 50.8, thickness: 0.1016, material: 'Gold/Palladium' });
+
+    const inches = parseSpecQuery('57mm 0.1mm', { units: 'in' });
+    assert.deepEqual(inches.filters, { diameter: 2.244, thickness: 0.0039 });
+  });
+
+  it('takes bare numbers in the requested units', () => {
+    const { filters } = parseSpecQuery('2 0.004 disk', { units: 'in' });
+    assert.deepEqual(filters, { diameter: 2, thickness: 0.004, type: 'disc' });
+  });
+
+  it('follows "dia" and "thick" over the size of the number', () => {
+    const { filters } = parseSpecQuery('stainless steel 8 mm dia 12 thick', { materials: MATERIALS });
+    assert.deepEqual(filters, { material: 'Stainless Steel', diameter: 8, thickness: 12 });
+  });
+
+  it('reads a diameter sign and 57x0.1', () => {
+    assert.deepEqual(parseSpecQuery('Ø5').filters, { diameter: 5 });
+    assert.deepEqual(parseSpecQuery('57x0.1').filters, { diameter: 57, thickness: 0.1 });
+  });
+
+  it('falls back to a text search when nothing is recognised', () => {
+    assert.deepEqual(parseSpecQuery('AU-2000 platnum', { materials: MATERIALS }), {
+      text: 'AU-2000 platnum',
+      filters: { search: 'AU-2000 platnum' },
+      terms: [],
+      ignored: []
+    });
+    assert.deepEqual(parseSpecQuery('  ').filters, {});
+  });
+});
+
+describe('q on /api/targets', () => {
+  let db;
+
+  before(async () => {
+    db = await testDb();
+    await seedCatalog(db);
+  });
+
+  after(async () => {
+    await db.end();
+  });
+
+  const list = query => listTargets.handle(db, { query });
+  const parts = body => body.data.map(row => row.part_number);
+
+  it('leaves the parameters alone without q', async () => {
+    const params = { material: 'Au' };
+    const untouched = { query: () => assert.fail('looked up materials without q') };
+    assert.deepEqual(await applySpecQuery(untouched, params, 'mm'), { params, interpreted: null });
+  });
+
+  it('returns the targets the query describes and echoes the interpretation', async () => {
+    const body = await list({ q: 'au 57mm 0.1' });
+    assert.deepEqual(parts(body), ['AU-57-01']);
+    assert.deepEqual(body.interpreted.filters, { material: 'Gold', diameter: 57, thickness: 0.1 });
+
+    const annular = await list({ q: 'annular 99.99 foo' });
+    assert.deepEqual(parts(annular), ['AG-60-20']);
+    assert.deepEqual(annular.interpreted.ignored, ['foo']);
+  });
+
+  it('reads sizes in the requested units', async () => {
+    assert.deepEqual(parts(await list({ q: 'au 2.244in', units: 'in' })), ['AU-57-01', 'AU-57-02']);
+  });
+
+  it('lets filters given explicitly win over the query', async () => {
+    const body = await list({ q: 'au 57mm', diameter: '54' });
+    assert.deepEqual(parts(body), ['AU-54-01']);
+    assert.equal(body.interpreted.filters.diameter, 57);
+  });
+
+  it('searches the text when nothing is recognised', async () => {
+    const body = await list({ q: 'platnum' });
+    assert.deepEqual(parts(body), ['PT-57-01']);
+    assert.deepEqual(body.interpreted.filters, { search: 'platnum' });
+  });
+
+  it('narrows the facets the same way', async () => {
+    const result = await getFacets.handle(db, { query: { q: 'au 57mm' } });
+    assert.equal(result.total, (await list({ q: 'au 57mm' })).pagination.total);
+    assert.deepEqual(result.facets.diameter, [{ value: '57.000', count: 2 }, { value: '54.000', count: 1 }]);
+  });
+});
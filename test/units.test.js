@@ -0,0 +1,53 @@
+/**
+ * Tests for length unit parsing and metric/imperial output
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { unitKey, toMm, fromMm, resolveUnits, filterToMm, filterTolerance, convertDimensions } from '../scripts/lib/units.js';
+
+describe('toMm', () => {
+  it('converts vendor units to millimetres', () => {
+    assert.equal(toMm('2', '"'), 50.8);
+    assert.equal(toMm('0.004', 'in'), 0.1016);
+    assert.equal(toMm('100', 'µm'), 0.1);
+    assert.equal(toMm('4', 'mils'), 0.1016);
+    assert.equal(toMm('5.7', 'cm'), 57);
+    assert.equal(toMm('57'), 57);
+  });
+
+  it('returns null for unknown units or values', () => {
+    assert.equal(unitKey('ft'), null);
+    assert.equal(toMm('2', 'ft'), null);
+    assert.equal(toMm('abc', 'mm'), null);
+  });
+});
+
+describe('output units', () => {
+  it('defaults to mm for anything but in', () => {
+    assert.equal(resolveUnits('in'), 'in');
+    assert.equal(resolveUnits('furlong'), 'mm');
+    assert.equal(resolveUnits(undefined), 'mm');
+  });
+
+  it('rounds diameters and thicknesses to their own precision in inches', () => {
+    assert.equal(fromMm('57.00', 'in', 'diameter_mm'), 2.244);
+    assert.equal(fromMm('0.1000', 'in', 'thickness_mm'), 0.0039);
+    assert.equal(fromMm('57.00', 'mm', 'diameter_mm'), '57.00');
+    assert.equal(fromMm(null, 'in'), null);
+  });
+
+  it('converts every dimension column of a row', () => {
+    const row = { part_number: '8001', diameter_mm: '50.8', outer_diameter_mm: null, thickness_mm: '0.1016' };
+    assert.deepEqual(convertDimensions(row, 'in'), {
+      part_number: '8001', diameter_mm: 2, outer_diameter_mm: null, thickness_mm: 0.004
+    });
+    assert.equal(convertDimensions(row, 'mm'), row);
+  });
+
+  it('matches a rounded inch filter back to the stored millimetres', () => {
+    const value = filterToMm(fromMm(57, 'in', 'diameter_mm'), 'in');
+    assert.ok(Math.abs(value - 57) <= filterTolerance('in', 'diameter_mm'));
+    assert.equal(filterTolerance('mm'), 0);
+  });
+});